@@ -4,6 +4,22 @@ import Logger from './logger.js';
 import NetworkRequestTracker from './networkRequestTracker.js';
 import ScreenshotCapture from './backgroundScreenshotHandler.js';
 import { StateLock } from './stateLock.js';
+import JobPool, { MAX_POOL_SIZE } from './jobPool.js';
+import JobLease from './jobLease.js';
+import JobCancellation, { abortable, sleep } from './jobCancellation.js';
+import ResultOutbox from './resultOutbox.js';
+import ResultUploader, { UPLOAD_MODES } from './resultUploader.js';
+import ControlClient from './controlClient.js';
+import JobStream, { JOB_TRANSPORTS, PUSH_TRANSPORTS } from './jobStream.js';
+import RemoteCommandHandler from './remoteCommands.js';
+import JobProgress from './jobProgress.js';
+import { ERROR_CODES, JobError, RETRY_POLICY, classifyError, fromHttpStatus, fromNetError, getRetryDelay } from './jobErrors.js';
+import { CONTENT_SECTIONS, PAGE_ACTIONS, SCHEMA_TRANSFORMS, SCREENSHOT_FORMATS, parseCrawlSpec, parseJobOptions } from './jobOptions.js';
+import PrefetchQueue, { MAX_PREFETCH_SIZE } from './prefetchQueue.js';
+import CircuitBreaker from './circuitBreaker.js';
+import ControlEndpoints from './controlEndpoints.js';
+import ExtractionProfiles from './extractionProfiles.js';
+import CrawlFrontier from './crawlFrontier.js';
 
 // Loggers for different components
 const logger = new Logger();
@@ -16,12 +32,18 @@ const messageLogger = new Logger('MESSAGE');
 const tabLogger = new Logger('TAB');
 const fetchLogger = new Logger('FETCH');
 const lockLogger = new Logger('LOCK');
+const registerLogger = new Logger('REGISTER');
+const commandLogger = new Logger('COMMAND');
 
 // Initialize StateLock
 const stateLock = new StateLock(lockLogger);
 
+// All control server traffic goes through this client to carry credentials
+const controlClient = new ControlClient();
+
 // Alarm-based polling (replaces setInterval)
 const ALARM_NAME = 'pollServer';
+const OUTBOX_ALARM_NAME = 'outboxRetry';
 let pollingInterval = null; // Keep for compatibility, but will be null with alarms
 let isProcessing = false;
 let currentStatus = 'Idle';
@@ -29,6 +51,25 @@ let lastPollTime = null;
 
 // Continuous polling state
 let isContinuousPolling = false;
+let pollingController = null; // Aborts the backoff waits of the running loop
+let pollingControlUrl = null;  // Server the running loop polls
+
+// One circuit breaker per control server, persisted across worker restarts
+const CIRCUIT_STORAGE_KEY = 'circuitBreakers';
+const circuitBreakers = new Map();
+let savedCircuitBreakers = {};
+
+// Shortest wait before polling again after a failed or skipped poll
+const MIN_POLL_RETRY_DELAY = 1000;
+
+// Job intake set by remote commands: 'active', 'paused' or 'draining'
+let workerMode = 'active';
+
+// Prefix of per-job processing states in StateLock
+const PROCESSING_STATE_PREFIX = 'processing_';
+
+// Processing states older than this service worker belong to a dead instance
+const workerStartTime = Date.now();
 
 // Initialize URL Settings Manager
 const urlSettingsManager = new UrlSettingsManager(console);
@@ -37,9 +78,140 @@ const urlSettingsManager = new UrlSettingsManager(console);
 const defaultSettings = {
     controlUrl: '',
     pollInterval: 30,
+    standbyUrls: [],
+    concurrency: 1,
+    prefetchSize: 1,
+    uploadMode: 'auto',
+    jobTransport: 'poll',
     graylogEndpoint: 'https://gelf.pt.artemm.info/gelf'
 };
 
+// Features announced to the control server when registering
+const WORKER_FEATURES = {
+    screenshot: true,
+    screenshot_formats: SCREENSHOT_FORMATS,
+    content_formats: CONTENT_SECTIONS.filter(section => section !== 'screenshot'),
+    transports: JOB_TRANSPORTS,
+    upload_modes: ['single', 'gzip', 'chunked'],
+    auth_modes: ['bearer', 'hmac'],
+    job_lease: true,
+    cancellation: true,
+    progress_events: true,
+    job_options: true,
+    page_actions: Object.keys(PAGE_ACTIONS),
+    extraction_schema: true,
+    page_expansion: true,
+    pagination: true,
+    crawl: true,
+    schema_transforms: SCHEMA_TRANSFORMS,
+    batch_fetch: true,
+    failover: true,
+    error_codes: Object.values(ERROR_CODES),
+    max_attempts: RETRY_POLICY.maxAttempts
+};
+
+// Pool of jobs processed concurrently, each in its own tab
+const jobPool = new JobPool(defaultSettings.concurrency);
+
+// Jobs fetched ahead so the next one starts as soon as a slot frees up
+const prefetchQueue = new PrefetchQueue();
+let prefetchSize = defaultSettings.prefetchSize;
+
+// Jobs are acknowledged on receipt and their leases kept alive while they wait for a slot
+const queuedLeases = new Map();  // job payload -> JobLease
+
+// Control servers without /get_urls, polled one job at a time
+const batchUnsupportedServers = new Set();
+
+// Results the control server failed to accept, retried with backoff
+const resultOutbox = new ResultOutbox();
+const resultUploader = new ResultUploader(controlClient);
+
+// Optional push delivery of jobs, HTTP polling stays the fallback
+const jobStream = new JobStream(controlClient, {
+    onJob: (data, controlUrl) => {
+        if (!jobPool.hasFreeSlot()) {
+            pollLogger.warn('Job pushed while the pool is full, queueing it', {
+                url: data.url,
+                activeCount: jobPool.activeCount,
+                size: jobPool.size
+            });
+        }
+        lastPollTime = Date.now();
+        acceptJobs([data], controlUrl).catch(error => {
+            processLogger.error('Failed to accept pushed job', { url: data.url, error: error.message });
+        });
+    },
+    onJobsAvailable: (controlUrl) => {
+        if (workerMode === 'active' && jobPool.hasFreeSlot()) {
+            pollServer(controlUrl);
+        }
+    },
+    onCommands: (commands, controlUrl) => {
+        remoteCommands.handleCommands(commands, controlUrl);
+    },
+    onConnected: () => {
+        // Pushed jobs make the long-poll loop redundant
+        if (isContinuousPolling) {
+            stopContinuousPolling();
+        }
+        setStatus('Connected to job stream');
+    },
+    onFallback: (controlUrl) => {
+        startContinuousPolling(controlUrl);
+    },
+    getFreeSlots: () => getFreeSlots()
+});
+
+// Commands from the control server, delivered in poll responses or on the job stream
+const remoteCommands = new RemoteCommandHandler(controlClient);
+
+// Extraction schemas saved per domain for jobs that bring none
+const extractionProfiles = new ExtractionProfiles();
+
+// Primary and standby control servers, new jobs come from the active one
+const controlEndpoints = new ControlEndpoints(controlClient, getCircuitBreaker);
+controlEndpoints.onSwitch = handleEndpointSwitch;
+
+function getCircuitBreaker(controlUrl) {
+    if (!circuitBreakers.has(controlUrl)) {
+        const breaker = new CircuitBreaker(controlUrl, savedCircuitBreakers[controlUrl]);
+        breaker.onChange = () => {
+            saveCircuitBreakers();
+            updateProcessingStatus();
+            // Losing the active server is the cue to look for a standby
+            if (breaker.isOpen && controlUrl === controlEndpoints.activeUrl) {
+                controlEndpoints.evaluate();
+            }
+        };
+        circuitBreakers.set(controlUrl, breaker);
+    }
+    return circuitBreakers.get(controlUrl);
+}
+
+async function saveCircuitBreakers() {
+    const states = {};
+    for (const [controlUrl, breaker] of circuitBreakers) {
+        states[controlUrl] = breaker.getStatus();
+    }
+    await chrome.storage.local.set({ [CIRCUIT_STORAGE_KEY]: states });
+}
+
+// Status of the first control server currently unreachable, null if none
+function getServerOutage() {
+    // After a failover only the server we fetch jobs from matters
+    if (controlEndpoints.activeUrl) {
+        const breaker = circuitBreakers.get(controlEndpoints.activeUrl);
+        return breaker?.isOpen ? { controlUrl: controlEndpoints.activeUrl, ...breaker.getStatus() } : null;
+    }
+    for (const [controlUrl, breaker] of circuitBreakers) {
+        if (breaker.isOpen) {
+            return { controlUrl, ...breaker.getStatus() };
+        }
+    }
+    return null;
+}
+
 // Direct status setter without logging
 function setStatus(status) {
     statusLogger.info('Status changing', { from: currentStatus, to: status });
@@ -57,7 +229,7 @@ async function fetchWithTimeout(url, options = {}, timeout = 5000) {
 
     try {
         fetchLogger.debug(`Starting request ${id}`, { url, timeout });
-        const response = await fetch(url, {
+        const response = await controlClient.fetch(url, {
             ...options,
             signal: controller.signal
         });
@@ -81,144 +253,487 @@ async function fetchWithTimeout(url, options = {}, timeout = 5000) {
     }
 }
 
-async function processUrl(url, controlUrl, captureScreenshot = true) {
-    const processId = Date.now();
-    processLogger.info(`Starting URL processing ${processId}`, { url, captureScreenshot });
+// Cancel every attempt once the job runs out of time (8 minutes to match Python's timeout)
+const PROCESSING_TIMEOUT = 480000; // 8 minutes max
+
+// A retry needs at least this much of the job's time left to be worth starting
+const MIN_RETRY_TIME = 60000;
+
+// Run a job, retrying transient failures, and report the final failure
+async function processJob(job, controlUrl) {
+    const { url, jobId = null } = job;
+    const deadline = Date.now() + PROCESSING_TIMEOUT;
+    
+    // Acknowledged when received, servers without job IDs skip the lease protocol
+    // The lease spans every attempt, including the backoff between them
+    const { lease } = job;
+    if (lease?.lost) {
+        processLogger.warn(`Job ${jobId} is no longer leased to this worker, skipping`, { url });
+        return null;
+    }
+    
+    // Running a job with options we do not understand would not be reproducible
+    if (job.optionErrors.length > 0) {
+        lease?.stopHeartbeat();
+        const optionsError = new JobError(ERROR_CODES.INVALID_OPTIONS, `Invalid job options: ${job.optionErrors.join('; ')}`, {
+            stage: 'validate_options'
+        });
+        processLogger.warn(`Rejecting job with invalid options`, { url, jobId, errors: job.optionErrors });
+        await reportJobFailure(controlUrl, job, optionsError, 0);
+        throw optionsError;
+    }
+    
+    // Filled in by the running attempt, sent with each heartbeat
+    const attemptInfo = { attempt: 0, processId: null, tabId: null, cancellation: null };
+    if (lease) {
+        lease.onLost = (status) => attemptInfo.cancellation?.cancel(`Lease lost (status ${status})`);
+        lease.startHeartbeat(() => ({
+            url,
+            attempt: attemptInfo.attempt,
+            processId: attemptInfo.processId,
+            tabId: attemptInfo.tabId,
+            stage: attemptInfo.cancellation?.stage
+        }));
+    }
+    
+    try {
+        // Crawls handle failures page by page instead of retrying the whole job
+        if (job.type === 'crawl') {
+            return await processCrawl(job, controlUrl, attemptInfo, lease);
+        }
+        
+        while (true) {
+            attemptInfo.attempt++;
+            try {
+                return await processUrl(job, controlUrl, attemptInfo, deadline);
+            } catch (error) {
+                const jobError = classifyError(error, attemptInfo.cancellation?.stage);
+                const remaining = deadline - Date.now();
+                const canRetry = jobError.transient &&
+                    attemptInfo.attempt < RETRY_POLICY.maxAttempts &&
+                    !lease?.lost &&
+                    remaining > MIN_RETRY_TIME;
+                
+                if (!canRetry) {
+                    await reportFinalFailure(controlUrl, job, jobError, attemptInfo.attempt, lease);
+                    throw jobError;
+                }
+                
+                const delay = getRetryDelay(attemptInfo.attempt);
+                processLogger.warn(`Job attempt ${attemptInfo.attempt} failed, retrying in ${delay}ms`, {
+                    url,
+                    jobId,
+                    errorCode: jobError.code,
+                    stage: jobError.stage,
+                    error: jobError.message
+                });
+                await sleep(delay);
+                
+                if (lease?.lost) {
+                    // Another worker has the job now, stop without retrying
+                    await reportFinalFailure(controlUrl, job, jobError, attemptInfo.attempt, lease);
+                    throw jobError;
+                }
+            }
+        }
+    } finally {
+        if (lease) {
+            lease.stopHeartbeat();
+        }
+    }
+}
+
+/**
+ * Crawl the seed URL's site page by page. Each page is submitted as a result of its
+ * own, tagged with the crawl ID and its depth; failed pages are skipped. A final result
+ * with the crawl's status closes the job.
+ * @param {Object} job - Crawl job with crawlId and crawlSpec
+ * @param {string} controlUrl - Server the job came from
+ * @param {Object} attemptInfo - Shared with the lease heartbeat
+ * @param {JobLease} lease - Lease of the job, null without job IDs
+ * @returns {Promise<Object>} Final crawl status
+ */
+async function processCrawl(job, controlUrl, attemptInfo, lease) {
+    const { crawlId, crawlSpec } = job;
+    const deadline = Date.now() + crawlSpec.max_time_ms;
+    const frontier = await CrawlFrontier.restore(crawlId, job.url, crawlSpec);
     
-    // Set processing state in StateLock
-    await stateLock.setState('processing', {
+    const progress = new JobProgress(controlClient, controlUrl, {
+        jobId: job.jobId,
+        url: job.url,
+        processId: `crawl-${crawlId}`
+    });
+    processLogger.info(`Starting crawl ${crawlId}`, { url: job.url, jobId: job.jobId, spec: crawlSpec });
+    
+    let stopReason = null;
+    try {
+        await frontier.save();
+        while (!stopReason) {
+            if (frontier.isFinished) {
+                stopReason = frontier.queue.length === 0 ? 'frontier_empty' : 'max_pages';
+                break;
+            }
+            if (lease?.lost) {
+                stopReason = 'lease_lost';
+                break;
+            }
+            
+            const page = frontier.next();
+            const pageDeadline = Math.min(Date.now() + PROCESSING_TIMEOUT, deadline);
+            if (pageDeadline - Date.now() < MIN_RETRY_TIME) {
+                // Not enough time left for another page, it stays counted as queued
+                frontier.putBack();
+                stopReason = 'max_time';
+                break;
+            }
+            await frontier.save();
+            progress.enterStage('crawl_page', { ...frontier.getStatus(), url: page.url, depth: page.depth });
+            
+            // Pages carry no job ID, a result with the crawl's job ID would complete its lease
+            const pageJob = {
+                ...job,
+                url: page.url,
+                jobId: null,
+                crawlPage: { crawl_id: crawlId, depth: page.depth, parent_url: page.parent }
+            };
+            attemptInfo.attempt = 1;
+            attemptInfo.discoveredLinks = [];
+            try {
+                await processUrl(pageJob, controlUrl, attemptInfo, pageDeadline);
+                const queued = frontier.addLinks(attemptInfo.discoveredLinks, page);
+                frontier.markDone();
+                processLogger.info(`Crawl ${crawlId}: page done`, {
+                    url: page.url,
+                    depth: page.depth,
+                    linksFound: attemptInfo.discoveredLinks.length,
+                    linksQueued: queued
+                });
+            } catch (error) {
+                const jobError = classifyError(error, attemptInfo.cancellation?.stage);
+                frontier.markFailed(jobError);
+                processLogger.warn(`Crawl ${crawlId}: page failed`, {
+                    url: page.url,
+                    depth: page.depth,
+                    errorCode: jobError.code,
+                    error: jobError.message
+                });
+            }
+            await frontier.save();
+            
+            if (!frontier.isFinished && crawlSpec.delay_ms > 0) {
+                await sleep(crawlSpec.delay_ms);
+            }
+        }
+    } catch (error) {
+        await progress.finish('failed', { ...frontier.getStatus(), error: error.message });
+        throw error;
+    } finally {
+        // However the crawl ends, nothing is left to resume; only a dead worker leaves its frontier behind
+        await frontier.remove();
+    }
+    
+    const status = { ...frontier.getStatus(), stop_reason: stopReason, failures: frontier.failures };
+    processLogger.info(`Crawl ${crawlId} finished`, status);
+    await progress.finish('completed', status);
+    
+    // The crawl's own result closes the job, another worker owns it after a lost lease
+    if (!lease?.lost) {
+        await submitCrawlResult(controlUrl, job, status);
+    }
+    return status;
+}
+
+// Final record of a crawl, sent after the results of its pages
+async function submitCrawlResult(controlUrl, job, status) {
+    const contentData = {
+        url: job.url,
+        job_id: job.jobId,
+        options: job.options,
+        crawl: { ...status, final: true }
+    };
+    try {
+        await submitResult(controlUrl, contentData);
+        processLogger.info(`Crawl ${job.crawlId}: final result submitted`, { url: job.url, jobId: job.jobId });
+    } catch (error) {
+        processLogger.error(`Crawl ${job.crawlId}: submitting the final result failed`, {
+            error: error.message,
+            status: error.status
+        });
+        if (!isRetryableSubmitError(error)) {
+            throw error;
+        }
+        await resultOutbox.add(controlUrl, contentData, error.message);
+    }
+}
+
+// A job whose lease was lost belongs to another worker, its failure is not ours to report
+async function reportFinalFailure(controlUrl, job, jobError, attempts, lease) {
+    if (lease?.lost) {
+        jobError.leaseLost = true;
+        processLogger.warn(`Job ${job.jobId} failed after its lease was lost, not reporting`, {
+            url: job.url,
+            errorCode: jobError.code,
+            attempts
+        });
+        return;
+    }
+    await reportJobFailure(controlUrl, job, jobError, attempts);
+}
+
+async function reportJobFailure(controlUrl, job, jobError, attempts) {
+    try {
+        const reportResponse = await controlClient.fetch(controlUrl + '/report_error', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                url: job.url,
+                job_id: job.jobId,
+                error: jobError.message,
+                error_code: jobError.code,
+                stage: jobError.stage,
+                attempts: attempts,
+                transient: jobError.transient,
+                http_status: jobError.status,
+                net_error: jobError.netError,
+                step: jobError.step,
+                cancelled: jobError.code === ERROR_CODES.CANCELLED || jobError.code === ERROR_CODES.JOB_TIMEOUT,
+                timestamp: new Date().toISOString()
+            })
+        });
+        // Let the caller know the server already has this failure
+        jobError.reported = reportResponse.ok;
+        processLogger.info('Job failure reported to server', {
+            url: job.url,
+            jobId: job.jobId,
+            errorCode: jobError.code,
+            attempts,
+            status: reportResponse.status
+        });
+    } catch (reportError) {
+        processLogger.error('Failed to report job failure', {
+            url: job.url,
+            error: reportError.message,
+            originalError: jobError.message
+        });
+    }
+}
+
+// One attempt at a job; failures are thrown for processJob to classify
+async function processUrl(job, controlUrl, attemptInfo, deadline) {
+    const { url, options, jobId = null } = job;
+    const { attempt } = attemptInfo;
+    const processId = `${Date.now()}-${Math.random().toString(36).substr(2, 5)}`;
+    const processingState = `${PROCESSING_STATE_PREFIX}${processId}`;
+    processLogger.info(`Starting URL processing ${processId}`, { url, jobId, attempt, options });
+    
+    // Set per-job processing state in StateLock
+    const jobState = {
         url: url,
+        jobId: jobId,
+        controlUrl: controlUrl,
         processId: processId,
         startTime: Date.now()
-    });
-    isProcessing = true; // Keep for backward compatibility
+    };
+    await stateLock.setState(processingState, jobState);
     await saveState();
     let tab = null;
     let formattedContent = null;
     
-    // Create timeout promise (8 minutes to match Python's timeout)
-    const PROCESSING_TIMEOUT = 480000; // 8 minutes max
-    const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error(`Processing timeout after ${PROCESSING_TIMEOUT/1000} seconds`)), PROCESSING_TIMEOUT);
-    });
+    // Cancel every stage once the job runs out of time
+    const cancellation = new JobCancellation();
+    const { signal } = cancellation;
+    Object.assign(attemptInfo, { processId, tabId: null, cancellation });
+    
+    // Every stage change is reported so the server can see where a job is
+    const progress = new JobProgress(controlClient, controlUrl, { jobId, url, processId, attempt });
+    cancellation.onStageChange = (stage, details) => progress.enterStage(stage, details);
+    const timeoutId = setTimeout(() => {
+        cancellation.cancel(`Processing timeout after ${PROCESSING_TIMEOUT/1000} seconds`, ERROR_CODES.JOB_TIMEOUT);
+    }, Math.max(0, deadline - Date.now()));
     
     try {
-        // Race between actual processing and timeout
-        formattedContent = await Promise.race([
-            (async () => {
-                processLogger.debug(`Process ${processId}: Creating tab`);
-                tab = await chrome.tabs.create({ url, active: true });
-                
-                // Set target URL before waiting for network idle
-                networkTracker.setTargetUrl(tab.id, url);
-                
-                processLogger.debug(`Process ${processId}: Waiting for tab load and security checks`);
-                await waitForTabLoad(tab.id, captureScreenshot);
-                
-                processLogger.debug(`Process ${processId}: Extracting content`);
-                const extractedContent = await extractContent(tab.id);
-                
-                // Wait additional time for any dynamic content
-                await new Promise(resolve => setTimeout(resolve, 2000));
-                
-                let screenshot = null;
-                if (captureScreenshot) {
-                    processLogger.debug(`Process ${processId}: Capturing full page screenshot`);
-                    const screenshotCapture = new ScreenshotCapture();
-                    screenshot = await screenshotCapture.captureFullPage(tab.id);
-                } else {
-                    processLogger.info(`Process ${processId}: Skipping screenshot capture (text-only mode)`);
-                }
-                
-                // Format the content according to server's expected schema
-                const contentData = {
-                    url: url,
-                    transformedUrl: extractedContent.url,
-                    content: {
-                        rawHtml: extractedContent.rawHtml,
-                        rawPurifiedContent: extractedContent.rawPurifiedContent,
-                        readableContent: extractedContent.readableContent,
-                        title: extractedContent.title,
-                        screenshot: screenshot
-                    }
-                };
-
-                // Log preview of content
-                processLogger.info(`Process ${processId}: Content preview`, {
-                    originalUrl: contentData.url,
-                    transformedUrl: contentData.transformedUrl,
-                    titleLength: contentData.content.title?.length,
-                    contentLength: contentData.content.readableContent?.length,
-                    screenshotSize: contentData.content.screenshot?.length,
-                    contentPreview: contentData.content.readableContent?.substring(0, 100)
-                });
+        formattedContent = await (async () => {
+            cancellation.setStage('create_tab');
+            processLogger.debug(`Process ${processId}: Creating tab`);
+            // Background tab, the screenshot queue activates it only for its own capture
+            tab = await chrome.tabs.create({ url, active: false });
+            attemptInfo.tabId = tab.id;
+            cancellation.throwIfCancelled();
+            
+            // Remember the tab so a restarted worker can close it
+            await stateLock.setState(processingState, { ...jobState, tabId: tab.id });
+            
+            // Set target URL before waiting for network idle
+            networkTracker.setTargetUrl(tab.id, url);
+            
+            cancellation.setStage('page_load', { tabId: tab.id });
+            processLogger.debug(`Process ${processId}: Waiting for tab load and security checks`);
+            await waitForTabLoad(tab.id, options, cancellation);
+            
+            // Error pages load fine, the main document tells whether the page itself did
+            checkMainDocument(tab.id, cancellation.stage);
+            
+            // Scripted interactions bring the page into the state worth extracting
+            let actionLog = null;
+            if (options.actions.length > 0) {
+                cancellation.setStage('page_actions', { steps: options.actions.length });
+                processLogger.debug(`Process ${processId}: Running ${options.actions.length} page actions`);
+                actionLog = await runPageActions(tab.id, options, cancellation);
+            }
+            
+            // Scroll and click "load more" until the page stops growing or a limit is hit
+            let expansion = null;
+            if (options.expand.enabled) {
+                cancellation.setStage('expand', { maxRounds: options.expand.max_rounds });
+                processLogger.debug(`Process ${processId}: Expanding page`, options.expand);
+                expansion = await expandPage(tab.id, options, cancellation);
+            }
+            
+            cancellation.setStage('extract_content');
+            processLogger.debug(`Process ${processId}: Extracting content`);
+            const extractedContent = await extractContent(tab.id, options, signal);
+            
+            // Named fields from the job's schema, or else the saved profile of the site
+            const profile = options.schema ? null : extractionProfiles.get(extractedContent.url || url);
+            const schema = options.schema || profile?.schema;
+            let structuredErrors = [];
+            if (schema && options.sections.includes('structured')) {
+                processLogger.debug(`Process ${processId}: Extracting structured fields`, { profile: profile?.domain });
+                const structuredResult = await extractStructured(tab.id, schema, options, signal);
+                extractedContent.structured = structuredResult.structured;
+                structuredErrors = structuredResult.errors;
+            }
+            
+            // Wait additional time for any dynamic content
+            cancellation.setStage('post_extraction_delay');
+            await sleep(options.extra_delay_ms, signal);
+            
+            let screenshot = null;
+            if (options.screenshot.enabled) {
+                cancellation.setStage('screenshot');
+                processLogger.debug(`Process ${processId}: Capturing full page screenshot`, options.screenshot);
+                const screenshotCapture = new ScreenshotCapture();
+                screenshot = await screenshotCapture.captureFullPage(tab.id, signal, options.screenshot);
+            } else {
+                processLogger.info(`Process ${processId}: Skipping screenshot capture (text-only mode)`);
+            }
+            
+            // Crawl pages hand their links to the frontier, taken before pagination leaves the page
+            if (job.crawlPage) {
+                cancellation.setStage('discover_links');
+                attemptInfo.discoveredLinks = await discoverLinks(tab.id, signal);
+            }
+            
+            // Later pages of the article are loaded in the same tab, after the first page's screenshot
+            let pagination = null;
+            if (options.pagination.enabled) {
+                cancellation.setStage('paginate', { maxPages: options.pagination.max_pages });
+                pagination = await followPagination(tab.id, extractedContent, options, cancellation);
+            }
+            
+            // Format the content according to server's expected schema
+            const content = { title: extractedContent.title };
+            for (const section of options.sections) {
+                content[section] = section === 'screenshot' ? screenshot : extractedContent[section];
+            }
+            const contentData = {
+                url: url,
+                job_id: jobId,
+                transformedUrl: extractedContent.url,
+                // The effective options, so the result can be reproduced
+                options: options,
+                content: content
+            };
+            if (actionLog) {
+                contentData.action_log = actionLog;
+            }
+            if (expansion) {
+                contentData.expansion = expansion;
+            }
+            if (pagination) {
+                contentData.pagination = pagination;
+            }
+            if (job.crawlPage) {
+                contentData.crawl = { ...job.crawlPage, links_found: attemptInfo.discoveredLinks.length };
+            }
+            if (profile && extractedContent.structured) {
+                contentData.schema_profile = profile.domain;
+            }
+            if (structuredErrors.length > 0) {
+                contentData.structured_errors = structuredErrors;
+            }
 
-                // Send to server with detailed logging
-                try {
-                    processLogger.debug(`Process ${processId}: Sending to server`, {
-                        endpoint: controlUrl,
-                        contentSize: JSON.stringify(contentData).length
-                    });
+            // Log preview of content
+            processLogger.info(`Process ${processId}: Content preview`, {
+                originalUrl: contentData.url,
+                transformedUrl: contentData.transformedUrl,
+                titleLength: contentData.content.title?.length,
+                contentLength: contentData.content.readableContent?.length,
+                screenshotSize: contentData.content.screenshot?.length,
+                contentPreview: contentData.content.readableContent?.substring(0, 100)
+            });
 
-                    const response = await fetch(controlUrl + '/submit', {
-                        method: 'POST',
-                        headers: {
-                            'Content-Type': 'application/json',
-                        },
-                        body: JSON.stringify(contentData)
-                    });
+            // Send to server with detailed logging
+            cancellation.setStage('submit');
+            try {
+                processLogger.debug(`Process ${processId}: Sending to server`, {
+                    endpoint: controlUrl,
+                    contentSize: JSON.stringify(contentData).length
+                });
 
-                    const responseData = await response.text();
-                    processLogger.info(`Process ${processId}: Server response`, {
-                        status: response.status,
-                        responsePreview: responseData.substring(0, 100)
+                const responseData = await submitResult(controlUrl, contentData, signal);
+                processLogger.info(`Process ${processId}: Server response`, {
+                    responsePreview: responseData.substring(0, 100)
+                });
+                
+                // Server is accepting results again, retry anything left over
+                flushOutbox();
+            } catch (serverError) {
+                processLogger.error(`Process ${processId}: Server communication failed`, {
+                    error: serverError.message,
+                    status: serverError.status
+                });
+                
+                // Keep the scraped content instead of throwing the work away
+                if (!cancellation.isCancelled && isRetryableSubmitError(serverError)) {
+                    await resultOutbox.add(controlUrl, contentData, serverError.message);
+                    processLogger.warn(`Process ${processId}: Result queued in outbox for retry`, {
+                        url: url,
+                        jobId: jobId
                     });
-
-                    if (!response.ok) {
-                        throw new Error(`Server responded with ${response.status}: ${responseData}`);
-                    }
-                } catch (serverError) {
-                    processLogger.error(`Process ${processId}: Server communication failed`, serverError);
-                    throw serverError;
+                    progress.finish('queued', { error: serverError.message });
+                    return contentData;
                 }
-        
-                processLogger.info(`Process ${processId}: Processing completed successfully`);
-                return contentData;
-            })(),
-            timeoutPromise
-        ]);
+                throw serverError;
+            }
+    
+            processLogger.info(`Process ${processId}: Processing completed successfully`);
+            progress.finish('completed');
+            return contentData;
+        })();
     } catch (error) {
+        // Cancelled jobs know the stage they were stopped in
+        const jobError = classifyError(error, cancellation.stage);
         processLogger.error(`Process ${processId} failed`, {
-            error: error.message,
+            error: jobError.message,
             stack: error.stack,
             tabId: tab?.id,
             url: url,
-            isTimeout: error.message.includes('timeout')
+            jobId: jobId,
+            stage: jobError.stage,
+            errorCode: jobError.code,
+            transient: jobError.transient,
+            attempt: attempt
         });
+        progress.finish('failed', { error: jobError.message, error_code: jobError.code });
         
-        // Report error back to API
-        try {
-            await fetch(controlUrl + '/report_error', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    url: url,
-                    error: error.message,
-                    timestamp: new Date().toISOString()
-                })
-            });
-            processLogger.info(`Process ${processId}: Error reported to server`);
-        } catch (reportError) {
-            processLogger.error(`Process ${processId}: Failed to report error`, {
-                error: reportError.message,
-                originalError: error.message
-            });
-        }
-        
-        throw error;
+        throw jobError;
     } finally {
         // Always cleanup
+        clearTimeout(timeoutId);
+        
         if (tab?.id) {
+            networkTracker.cleanup(tab.id);
             try {
                 await chrome.tabs.remove(tab.id);
                 processLogger.debug(`Process ${processId}: Closed tab ${tab.id} after processing`);
@@ -229,26 +744,51 @@ async function processUrl(url, controlUrl, captureScreenshot = true) {
             }
         }
         
-        // Always reset state
-        await stateLock.setState('idle');
-        processLogger.debug(`Process ${processId}: Reset state to idle`);
-        isProcessing = false; // Keep for backward compatibility
+        // Always clear this job's state
+        await stateLock.clearState(processingState);
+        processLogger.debug(`Process ${processId}: Cleared processing state`);
         await saveState();
     }
     
     return formattedContent;
 }
 
+// Compression and chunking are negotiated by the uploader
+async function submitResult(controlUrl, contentData, signal = null) {
+    return resultUploader.upload(controlUrl, contentData, signal);
+}
+
+// Connection failures, server errors and throttling are worth retrying,
+// other client errors will fail the same way again
+function isRetryableSubmitError(error) {
+    if (!error.status) return true;
+    return error.status >= 500 || error.status === 408 || error.status === 429;
+}
+
+async function flushOutbox() {
+    try {
+        await resultOutbox.flush(submitResult, isRetryableSubmitError);
+    } catch (error) {
+        processLogger.error('Outbox flush failed', { error: error.message });
+    }
+}
+
 const networkTracker = new NetworkRequestTracker();
 const screenshotCapture = new ScreenshotCapture();
 
-async function waitForTabLoad(tabId, captureScreenshot = true) {
-    const pageLoadTimeout = 30000; // 30 seconds max for initial page load
+async function waitForTabLoad(tabId, options, cancellation = null) {
+    const pageLoadTimeout = options.page_load_timeout_ms;
     const waitLogger = new Logger('TabWait');
+    const signal = cancellation?.signal;
     
     return new Promise((resolve, reject) => {
         let listenerRemoved = false;
         
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        
         // Define the listener function so we can remove it later
         const listener = function(id, info) {
             if (id === tabId && info.status === 'complete') {
@@ -277,50 +817,499 @@ async function waitForTabLoad(tabId, captureScreenshot = true) {
             }
         }, pageLoadTimeout);
         
+        // Stop waiting for the load if the job is cancelled first
+        const onAbort = () => {
+            if (!listenerRemoved) {
+                listenerRemoved = true;
+                chrome.tabs.onUpdated.removeListener(listener);
+                clearTimeout(timeoutId);
+                waitLogger.info('Tab load wait cancelled', { tabId });
+                reject(signal.reason);
+            }
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+        
         // Function to proceed with network wait
         function proceedWithNetworkWait(loadResult) {
             clearTimeout(timeoutId);
+            signal?.removeEventListener('abort', onAbort);
+            
+            try {
+                cancellation?.setStage('network_idle', { loadResult });
+            } catch (error) {
+                reject(error);
+                return;
+            }
             
-            // Use 30s timeout for all modes
-            const networkTimeout = 30000;
+            // Defaults: 30s timeout, 2s quiet period, up to 2 active requests
+            const networkTimeout = options.network_idle_timeout_ms;
             waitLogger.info(`Waiting for network idle after ${loadResult}`, {
                 tabId,
-                captureScreenshot,
-                networkTimeout
+                networkTimeout,
+                quietPeriod: options.quiet_period_ms,
+                maxActiveRequests: options.max_active_requests
             });
             
             networkTracker.waitForNetworkIdle(tabId, {
-                timeout: networkTimeout,  // 30s for all modes
-                quietPeriod: 2000,       // 2 seconds quiet period
+                timeout: networkTimeout,
+                quietPeriod: options.quiet_period_ms,
                 checkInterval: 100,
                 ignoreScreenshotCapture: true,
-                maxActiveRequests: 2     // Allow up to 2 active requests
+                maxActiveRequests: options.max_active_requests,
+                signal
             })
             .then(() => {
                 waitLogger.info('Network idle achieved', { tabId, loadResult });
                 resolve();
             })
             .catch((error) => {
-                waitLogger.error('Network wait failed', { tabId, error: error.message });
+                waitLogger.error('Network wait failed', { tabId, error: error.message, loadResult });
+                if (error.name === 'TimeoutError') {
+                    // A page that never finished loading is a load timeout, not a busy page
+                    const code = loadResult === 'timeout' ? ERROR_CODES.LOAD_TIMEOUT : ERROR_CODES.NETWORK_IDLE_TIMEOUT;
+                    reject(new JobError(code, `${error.message} after page load ${loadResult}`, { stage: 'network_idle' }));
+                    return;
+                }
                 reject(error);
             });
         }
-    });
+    });
+}
+
+// The content script enforces the job's extraction timeout itself,
+// a tab silent for this much longer is hung
+const EXTRACTION_RESPONSE_MARGIN = 30000;
+
+async function extractContent(tabId, options, signal = null) {
+    tabLogger.debug(`Extracting content from tab ${tabId}`);
+    const timeout = options.extraction_timeout_ms + EXTRACTION_RESPONSE_MARGIN;
+    let timeoutId;
+    const extraction = new Promise((resolve, reject) => {
+        timeoutId = setTimeout(() => {
+            tabLogger.error(`Content extraction timed out for tab ${tabId}`, { timeout });
+            reject(new JobError(ERROR_CODES.EXTRACTION_TIMEOUT, `Content extraction timed out after ${timeout / 1000} seconds`, {
+                stage: 'extract_content'
+            }));
+        }, timeout);
+        
+        const message = {
+            type: "extract_content",
+            timeout: options.extraction_timeout_ms,
+            limits: {
+                html: options.max_html_length,
+                rawText: options.max_raw_text_length,
+                readableText: options.max_readable_text_length,
+                markdown: options.max_markdown_length,
+                links: options.max_links
+            }
+        };
+        chrome.tabs.sendMessage(tabId, message, response => {
+            clearTimeout(timeoutId);
+            if (signal?.aborted) {
+                return; // Result arrived after cancellation, drop it
+            }
+            if (chrome.runtime.lastError) {
+                tabLogger.error(`Content extraction failed for tab ${tabId}`, chrome.runtime.lastError);
+                reject(chrome.runtime.lastError);
+                return;
+            }
+            tabLogger.debug(`Content extracted successfully from tab ${tabId}`);
+            resolve(response.content);
+        });
+    });
+    return abortable(extraction, signal).finally(() => clearTimeout(timeoutId));
+}
+
+function extractStructured(tabId, schema, options, signal = null) {
+    const timeout = options.extraction_timeout_ms;
+    let timeoutId;
+    const extraction = new Promise((resolve, reject) => {
+        timeoutId = setTimeout(() => {
+            reject(new JobError(ERROR_CODES.EXTRACTION_TIMEOUT, `Structured extraction timed out after ${timeout / 1000} seconds`, {
+                stage: 'extract_content'
+            }));
+        }, timeout);
+        
+        chrome.tabs.sendMessage(tabId, { type: 'extract_structured', schema }, response => {
+            clearTimeout(timeoutId);
+            if (signal?.aborted) {
+                return; // Result arrived after cancellation, drop it
+            }
+            if (chrome.runtime.lastError) {
+                tabLogger.error(`Structured extraction failed for tab ${tabId}`, chrome.runtime.lastError);
+                reject(chrome.runtime.lastError);
+                return;
+            }
+            tabLogger.debug(`Structured fields extracted from tab ${tabId}`, {
+                fields: Object.keys(response.structured).length,
+                errors: response.errors.length,
+                extractionTime: response.extractionTime
+            });
+            resolve(response);
+        });
+    });
+    return abortable(extraction, signal).finally(() => clearTimeout(timeoutId));
+}
+
+// Text sections joined across pages, with the separator between two pages and their size limit
+const PAGINATED_SECTIONS = {
+    rawPurifiedContent: { separator: '\n\n', limit: 'max_raw_text_length' },
+    readableContent: { separator: '\n\n', limit: 'max_readable_text_length' },
+    markdownContent: { separator: '\n\n---\n\n', limit: 'max_markdown_length' }
+};
+
+function findNextPage(tabId, selector, signal) {
+    const response = new Promise((resolve, reject) => {
+        chrome.tabs.sendMessage(tabId, { type: 'find_next_page', selector }, result => {
+            if (chrome.runtime.lastError) {
+                reject(new Error(chrome.runtime.lastError.message));
+                return;
+            }
+            if (!result?.ok) {
+                reject(new Error(result?.error || 'No response from the page'));
+                return;
+            }
+            resolve(result);
+        });
+    });
+    return abortable(response, signal);
+}
+
+// Links of the current page for the crawl frontier; a page without them ends its branch
+function discoverLinks(tabId, signal) {
+    const response = new Promise((resolve) => {
+        chrome.tabs.sendMessage(tabId, { type: 'discover_links' }, result => {
+            if (chrome.runtime.lastError || !result?.ok) {
+                tabLogger.warn(`Link discovery failed for tab ${tabId}`, {
+                    error: chrome.runtime.lastError?.message || result?.error
+                });
+                resolve([]);
+                return;
+            }
+            resolve(result.links);
+        });
+    });
+    return abortable(response, signal);
+}
+
+/**
+ * Load the following pages of a paginated article in the same tab and append their
+ * text to the first page's content. A page that fails ends the pagination, the pages
+ * loaded so far are kept.
+ * @param {number} tabId - Tab of the job, showing the first page
+ * @param {Object} firstPage - Content extracted from the first page, extended in place
+ * @param {Object} options - Job options with the pagination group
+ * @param {JobCancellation} cancellation - Cancellation of the job
+ * @returns {Promise<Object>} { pages, stop_reason } with one entry per page in order
+ */
+async function followPagination(tabId, firstPage, options, cancellation) {
+    const { signal } = cancellation;
+    const pages = [{
+        page: 1,
+        url: firstPage.url,
+        title: firstPage.title,
+        frames: firstPage.debug?.frames || [],
+        shadow_roots: firstPage.debug?.shadowRoots || 0
+    }];
+    const visited = new Set([firstPage.url.split('#')[0]]);
+    const texts = Object.fromEntries(Object.keys(PAGINATED_SECTIONS).map(section => [section, [firstPage[section] || '']]));
+    let stopReason = 'max_pages';
+    
+    while (pages.length <= options.pagination.max_pages) {
+        let nextUrl = null;
+        try {
+            const next = await findNextPage(tabId, options.pagination.next_selector, signal);
+            nextUrl = next.url;
+            tabLogger.debug(`Next page lookup on page ${pages.length}`, { tabId, ...next });
+        } catch (error) {
+            if (signal.aborted) throw error;
+            stopReason = 'error';
+            tabLogger.warn(`Next page lookup failed for tab ${tabId}`, { error: error.message });
+            break;
+        }
+        if (!nextUrl) {
+            stopReason = 'no_next_page';
+            break;
+        }
+        if (visited.has(nextUrl.split('#')[0])) {
+            stopReason = 'loop';
+            break;
+        }
+        visited.add(nextUrl.split('#')[0]);
+        
+        const pageNumber = pages.length + 1;
+        try {
+            cancellation.setStage('paginate', { page: pageNumber, url: nextUrl });
+            networkTracker.setTargetUrl(tabId, nextUrl);
+            await chrome.tabs.update(tabId, { url: nextUrl });
+            await waitForTabLoad(tabId, options, cancellation);
+            checkMainDocument(tabId, 'paginate');
+            
+            cancellation.setStage('paginate', { page: pageNumber, url: nextUrl, extracting: true });
+            const pageContent = await extractContent(tabId, options, signal);
+            for (const section of Object.keys(PAGINATED_SECTIONS)) {
+                texts[section].push(pageContent[section] || '');
+            }
+            pages.push({
+                page: pageNumber,
+                url: pageContent.url,
+                title: pageContent.title,
+                // content.debug only describes the first page
+                frames: pageContent.debug?.frames || [],
+                shadow_roots: pageContent.debug?.shadowRoots || 0
+            });
+            tabLogger.info(`Extracted page ${pageNumber}`, { tabId, url: pageContent.url });
+        } catch (error) {
+            if (signal.aborted) throw error;
+            stopReason = 'error';
+            pages.push({ page: pageNumber, url: nextUrl, error: error.message });
+            tabLogger.warn(`Page ${pageNumber} failed, keeping the pages before it`, { tabId, url: nextUrl, error: error.message });
+            break;
+        }
+    }
+    
+    for (const [section, { separator, limit }] of Object.entries(PAGINATED_SECTIONS)) {
+        firstPage[section] = texts[section].filter(Boolean).join(separator).substring(0, options[limit]);
+    }
+    
+    const extractedPages = pages.filter(page => !page.error).length;
+    tabLogger.info(`Pagination finished for tab ${tabId}`, { pages: extractedPages, stopReason });
+    return { pages, page_count: extractedPages, stop_reason: stopReason };
+}
+
+// Rounds without growth before the page counts as fully expanded
+const EXPANSION_STALE_ROUNDS = 2;
+
+function sendExpandCommand(tabId, command, options, signal) {
+    const response = new Promise((resolve, reject) => {
+        chrome.tabs.sendMessage(tabId, { type: 'expand_page', command, options: options.expand }, result => {
+            if (chrome.runtime.lastError) {
+                reject(new Error(chrome.runtime.lastError.message));
+                return;
+            }
+            if (!result?.ok) {
+                reject(new Error(result?.error || 'No response from the page'));
+                return;
+            }
+            resolve(result);
+        });
+    });
+    return abortable(response, signal);
+}
+
+/**
+ * Expand infinite scroll and lazy-loaded pages round by round. A failing round ends
+ * the expansion, extraction goes on with what has been loaded by then.
+ * @param {number} tabId - Tab of the job
+ * @param {Object} options - Job options with the expand group
+ * @param {JobCancellation} cancellation - Cancellation of the job
+ * @returns {Promise<Object>} Report of the rounds performed
+ */
+async function expandPage(tabId, options, cancellation) {
+    const limits = options.expand;
+    const { signal } = cancellation;
+    const startTime = Date.now();
+    const report = {
+        rounds: 0,
+        load_more_clicks: 0,
+        stop_reason: null,
+        initial_height: null,
+        final_height: null,
+        initial_items: null,
+        final_items: null,
+        duration_ms: 0
+    };
+    
+    let staleRounds = 0;
+    try {
+        let previous = await sendExpandCommand(tabId, 'measure', options, signal);
+        report.initial_height = previous.height;
+        report.initial_items = previous.items;
+        
+        while (!report.stop_reason) {
+            if (report.rounds >= limits.max_rounds) {
+                report.stop_reason = 'max_rounds';
+                break;
+            }
+            if (Date.now() - startTime >= limits.max_time_ms) {
+                report.stop_reason = 'max_time';
+                break;
+            }
+            
+            // Track the round's requests from before they start
+            await trackTabRequests(tabId);
+            const step = await sendExpandCommand(tabId, 'advance', options, signal);
+            report.rounds++;
+            if (step.action === 'load_more') {
+                report.load_more_clicks++;
+            }
+            
+            // New content arrives over the network, wait for it to settle
+            await networkTracker.waitForNetworkIdle(tabId, {
+                timeout: limits.round_wait_ms,
+                quietPeriod: Math.min(options.quiet_period_ms, limits.round_wait_ms),
+                checkInterval: 100,
+                ignoreScreenshotCapture: true,
+                maxActiveRequests: options.max_active_requests,
+                signal
+            }).catch(error => {
+                // Pages that keep polling never go quiet, the round just ends
+                if (error.name !== 'TimeoutError') throw error;
+            });
+            
+            const current = await sendExpandCommand(tabId, 'measure', options, signal);
+            const grew = current.height > previous.height || (current.items ?? 0) > (previous.items ?? 0);
+            staleRounds = grew || step.action === 'scroll' ? 0 : staleRounds + 1;
+            previous = current;
+            
+            tabLogger.debug(`Expansion round ${report.rounds}`, { tabId, action: step.action, ...current, grew });
+            
+            if (limits.max_items && current.items >= limits.max_items) {
+                report.stop_reason = 'max_items';
+            } else if (limits.max_height && current.height >= limits.max_height) {
+                report.stop_reason = 'max_height';
+            } else if (staleRounds >= EXPANSION_STALE_ROUNDS) {
+                report.stop_reason = 'no_growth';
+            }
+        }
+        
+        const final = await sendExpandCommand(tabId, 'finish', options, signal);
+        report.final_height = final.height;
+        report.final_items = final.items;
+    } catch (error) {
+        if (signal.aborted) throw error;
+        // A "load more" link may navigate away, keep what we have
+        tabLogger.warn(`Page expansion stopped early for tab ${tabId}`, { error: error.message, rounds: report.rounds });
+        report.stop_reason = 'error';
+        report.error = error.message;
+    }
+    
+    report.duration_ms = Date.now() - startTime;
+    tabLogger.info(`Page expansion finished for tab ${tabId}`, report);
+    return report;
+}
+
+// Steps that can run again on the page a previous step navigated to
+const REPEATABLE_ACTIONS = ['scroll', 'hover', 'wait_for_selector', 'wait_for_text', 'wait'];
+
+// Time the tab gets on top of a step's own timeout before it counts as hung
+const ACTION_RESPONSE_MARGIN = 5000;
+
+/**
+ * Run the job's page actions one step at a time
+ * @param {number} tabId - Tab of the job
+ * @param {Object} options - Job options with actions and action_timeout_ms
+ * @param {JobCancellation} cancellation - Cancellation of the job
+ * @returns {Promise<Object[]>} Log entry per step
+ */
+async function runPageActions(tabId, options, cancellation) {
+    const actionLog = [];
+    
+    for (const [index, step] of options.actions.entries()) {
+        cancellation.throwIfCancelled();
+        const entry = { index, action: step.action, status: 'ok', duration_ms: 0, navigated: false };
+        
+        let response = await sendPageAction(tabId, step, index, options, cancellation.signal);
+        if (response.navigated) {
+            // The page unloaded under the step, continue on the one it navigated to
+            entry.navigated = true;
+            tabLogger.info(`Page navigated during action ${index}`, { tabId, action: step.action });
+            await waitForActionNavigation(tabId, options, cancellation);
+            if (REPEATABLE_ACTIONS.includes(step.action) || response.missingRunner) {
+                response = await sendPageAction(tabId, step, index, options, cancellation.signal);
+            } else {
+                // A click or key press that navigates did its job
+                response = { ok: true };
+            }
+        }
+        
+        entry.duration_ms = response.duration || 0;
+        if (response.ok === false) {
+            entry.status = step.optional ? 'skipped' : 'failed';
+            entry.error = response.error;
+        }
+        actionLog.push(entry);
+        
+        if (entry.status === 'failed') {
+            tabLogger.warn(`Page action ${index} failed`, { tabId, step, error: response.error });
+            throw new JobError(
+                response.timedOut ? ERROR_CODES.ACTION_TIMEOUT : ERROR_CODES.ACTION_FAILURE,
+                `Page action ${index} (${step.action}) failed: ${response.error}`,
+                { stage: 'page_actions', step: index }
+            );
+        }
+        tabLogger.debug(`Page action ${index} ${entry.status}`, { tabId, ...entry });
+    }
+    
+    return actionLog;
 }
 
-async function extractContent(tabId) {
-    tabLogger.debug(`Extracting content from tab ${tabId}`);
-    return new Promise((resolve, reject) => {
-        chrome.tabs.sendMessage(tabId, { type: "extract_content" }, response => {
+function sendPageAction(tabId, step, index, options, signal) {
+    const stepTimeout = step.timeout_ms ?? options.action_timeout_ms;
+    const timeout = (step.action === 'wait' ? step.ms : stepTimeout) + ACTION_RESPONSE_MARGIN;
+    let timeoutId;
+    const response = new Promise((resolve) => {
+        timeoutId = setTimeout(() => {
+            resolve({ ok: false, timedOut: true, error: `No response from the page after ${timeout / 1000} seconds` });
+        }, timeout);
+        
+        const message = { type: 'run_page_action', step, index, timeout: options.action_timeout_ms };
+        chrome.tabs.sendMessage(tabId, message, result => {
+            clearTimeout(timeoutId);
             if (chrome.runtime.lastError) {
-                tabLogger.error(`Content extraction failed for tab ${tabId}`, chrome.runtime.lastError);
-                reject(chrome.runtime.lastError);
+                // No runner yet, or the page went away while the step ran; both mean a navigation
+                const missingRunner = chrome.runtime.lastError.message.includes('Receiving end does not exist');
+                resolve({ ok: false, navigated: true, missingRunner, error: chrome.runtime.lastError.message });
                 return;
             }
-            tabLogger.debug(`Content extracted successfully from tab ${tabId}`);
-            resolve(response.content);
+            resolve(result);
         });
     });
+    return abortable(response, signal).finally(() => clearTimeout(timeoutId));
+}
+
+// Idle waits stop tracking the tab when they end, register its page again before the next one
+async function trackTabRequests(tabId) {
+    const tab = await chrome.tabs.get(tabId);
+    networkTracker.setTargetUrl(tabId, tab.pendingUrl || tab.url);
+    return tab;
+}
+
+// A navigating step leaves the tab loading, or already loaded if the page was quick
+async function waitForActionNavigation(tabId, options, cancellation) {
+    const tab = await trackTabRequests(tabId);
+    if (tab.status === 'complete') {
+        await networkTracker.waitForNetworkIdle(tabId, {
+            timeout: options.network_idle_timeout_ms,
+            quietPeriod: options.quiet_period_ms,
+            checkInterval: 100,
+            ignoreScreenshotCapture: true,
+            maxActiveRequests: options.max_active_requests,
+            signal: cancellation.signal
+        }).catch(error => {
+            // A busy page is still worth running the next step on
+            if (error.name !== 'TimeoutError') throw error;
+        });
+    } else {
+        await waitForTabLoad(tabId, options, cancellation);
+        cancellation.setStage('page_actions', { resumedAfterNavigation: true });
+    }
+}
+
+// Fail jobs whose page could not be fetched instead of scraping the error page
+function checkMainDocument(tabId, stage) {
+    const mainDocument = networkTracker.getMainDocument(tabId);
+    if (!mainDocument) {
+        tabLogger.debug(`No main document request recorded for tab ${tabId}`);
+        return;
+    }
+    
+    if (mainDocument.error) {
+        throw fromNetError(mainDocument.error, stage);
+    }
+    if (mainDocument.statusCode >= 400) {
+        throw fromHttpStatus(mainDocument.statusCode, stage);
+    }
 }
 
 async function pollServer(controlUrl) {
@@ -338,10 +1327,26 @@ async function pollServer(controlUrl) {
     
     pollLogger.debug(`Starting poll ${pollId}`, { url: controlUrl, lockId });
     lastPollTime = Date.now();
+    const breaker = getCircuitBreaker(controlUrl);
     
     try {
-        pollLogger.debug(`Poll ${pollId}: Fetching from server`);
-        const response = await fetchWithTimeout(`${controlUrl}/get_url`, {}, 30000);
+        if (!breaker.canRequest()) {
+            pollLogger.debug(`Poll ${pollId}: Skipped, control server backing off`, { retryIn: breaker.getDelay() });
+            return false;
+        }
+        
+        // Fill the free slots and the prefetch queue in one round trip
+        const wanted = Math.max(1, getFreeSlots() + prefetchSize - prefetchQueue.length);
+        const useBatch = wanted > 1 && !batchUnsupportedServers.has(controlUrl);
+        
+        pollLogger.debug(`Poll ${pollId}: Fetching from server`, { wanted, useBatch });
+        let response = await fetchWithTimeout(useBatch ? `${controlUrl}/get_urls?max=${wanted}` : `${controlUrl}/get_url`, {}, 30000);
+        
+        if (useBatch && response.status === 404) {
+            pollLogger.info('Control server does not support batch fetching, using /get_url', { controlUrl });
+            batchUnsupportedServers.add(controlUrl);
+            response = await fetchWithTimeout(`${controlUrl}/get_url`, {}, 30000);
+        }
         
         pollLogger.debug(`Poll ${pollId}: Response received`, { 
             status: response.status,
@@ -350,6 +1355,7 @@ async function pollServer(controlUrl) {
         
         if (response.status === 204) {
             pollLogger.debug(`Poll ${pollId}: No URLs in queue`);
+            breaker.recordSuccess();
             return true; // Continue polling
         }
 
@@ -357,60 +1363,39 @@ async function pollServer(controlUrl) {
             throw new Error(`HTTP error! status: ${response.status}`);
         }
 
-        const data = await response.json();
-        pollLogger.info(`Poll ${pollId}: Received URL`, { url: data.url });
+        // Jobs must come from our control server when responses are signed
+        const responseText = await response.text();
+        if (!(await controlClient.verifyResponse(response, responseText))) {
+            throw new Error('Job response signature verification failed');
+        }
+        
+        const data = JSON.parse(responseText);
+        breaker.recordSuccess();
+        // Batch responses list jobs, single responses are the job itself
+        const jobs = Array.isArray(data.jobs) ? data.jobs.filter(job => job?.url) : (data.url ? [data] : []);
+        pollLogger.info(`Poll ${pollId}: Received ${jobs.length} URL(s)`, { urls: jobs.map(job => job.url) });
 
-        if (data.url) {
-            setStatus(`Processing URL: ${data.url}`);
-            try {
-                await processUrl(data.url, controlUrl, data.capture_screenshot);
-            } catch (processError) {
-                // Log with full context
-                pollLogger.error(`Processing failed for ${data.url}`, {
-                    error: processError.message,
-                    stack: processError.stack,
-                    url: data.url,
-                    isTimeout: processError.message.includes('timeout'),
-                    timestamp: new Date().toISOString()
-                });
-                
-                // Try to report to server (don't let this break polling)
-                try {
-                    const response = await fetch(controlUrl + '/report_error', {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({
-                            url: data.url,
-                            error: processError.message,
-                            timestamp: new Date().toISOString()
-                        })
-                    });
-                    if (response.ok) {
-                        pollLogger.info('Error reported to server successfully');
-                    } else {
-                        pollLogger.warn(`Server error report failed with status ${response.status}`);
-                    }
-                } catch (reportError) {
-                    pollLogger.warn('Failed to report error to server', {
-                        error: reportError.message,
-                        originalError: processError.message
-                    });
-                }
-            }
-            return true; // Always continue polling
+        if (data.commands) {
+            // Not awaited, a drain would block polling until the pool is empty
+            remoteCommands.handleCommands(data.commands, controlUrl);
         }
+
+        // Jobs run in the pool, polling continues while they are processed
+        await acceptJobs(jobs, controlUrl);
         
         return true; // Continue polling
     } catch (error) {
         if (error.name === 'AbortError') {
             pollLogger.debug(`Poll ${pollId}: Request timeout - normal during idle periods`);
+            breaker.recordSuccess();
             return true; // Continue polling after timeout
         } else {
             pollLogger.error(`Poll ${pollId} failed`, {
                 error: error.message,
                 stack: error.stack
             });
-            // For other errors, stop continuous polling (alarm will restart it)
+            // The circuit breaker decides when the next poll may go out
+            breaker.recordFailure(error);
             return false;
         }
     } finally {
@@ -420,6 +1405,228 @@ async function pollServer(controlUrl) {
     }
 }
 
+function dispatchJob(data, controlUrl, lease = null) {
+    const jobKey = `${Date.now()}-${Math.random().toString(36).substr(2, 5)}`;
+    const { options, errors: optionErrors } = parseJobOptions(data.options, data.capture_screenshot);
+    const job = {
+        url: data.url,
+        options: options,
+        optionErrors: optionErrors,
+        jobId: data.job_id || null,
+        lease: lease,
+        type: 'page'
+    };
+    
+    if (data.type === 'crawl') {
+        const { crawl, errors: crawlErrors } = parseCrawlSpec(data.crawl);
+        Object.assign(job, {
+            type: 'crawl',
+            crawlSpec: crawl,
+            crawlId: String(data.crawl_id || data.job_id || jobKey)
+        });
+        job.optionErrors.push(...crawlErrors);
+    }
+
+    jobPool.run(jobKey, { url: data.url, jobId: job.jobId }, async () => {
+        try {
+            await processJob(job, controlUrl);
+        } catch (processError) {
+            // Log with full context
+            pollLogger.error(`Processing failed for ${data.url}`, {
+                error: processError.message,
+                stack: processError.stack,
+                url: data.url,
+                jobId: job.jobId,
+                errorCode: processError.code,
+                timestamp: new Date().toISOString()
+            });
+            
+            // Already reported, or owned by another worker since its lease was lost
+            if (processError.reported || processError.leaseLost) {
+                return;
+            }
+            
+            // Try to report to server (don't let this break polling)
+            try {
+                const response = await controlClient.fetch(controlUrl + '/report_error', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        url: data.url,
+                        job_id: job.jobId,
+                        error: processError.message,
+                        error_code: processError.code || ERROR_CODES.UNKNOWN,
+                        stage: processError.stage || null,
+                        timestamp: new Date().toISOString()
+                    })
+                });
+                if (response.ok) {
+                    pollLogger.info('Error reported to server successfully');
+                } else {
+                    pollLogger.warn(`Server error report failed with status ${response.status}`);
+                }
+            } catch (reportError) {
+                pollLogger.warn('Failed to report error to server', {
+                    error: reportError.message,
+                    originalError: processError.message
+                });
+            }
+        }
+    }).finally(() => {
+        // The next prefetched job takes the slot right away
+        startQueuedJobs();
+        updateProcessingStatus();
+        saveState();
+        jobStream.sendCredit(getFreeSlots());
+    });
+
+    updateProcessingStatus();
+}
+
+// Start received jobs in free slots and queue the rest
+async function acceptJobs(jobs, controlUrl) {
+    if (jobs.length === 0) return;
+    
+    if (workerMode !== 'active') {
+        await releaseJobs(jobs.map(data => ({ data, controlUrl })), `Worker is ${workerMode}`);
+        return;
+    }
+    
+    const leased = await leaseJobs(jobs, controlUrl);
+    await prefetchQueue.push(leased, controlUrl);
+    startQueuedJobs();
+}
+
+/**
+ * Acknowledge received jobs and keep their leases alive until they are started
+ * @param {Object[]} jobs - Job payloads as received from the server
+ * @param {string} controlUrl - Server the jobs came from
+ * @returns {Promise<Object[]>} The jobs still assigned to this worker, in order
+ */
+async function leaseJobs(jobs, controlUrl) {
+    const results = await Promise.all(jobs.map(async (data) => {
+        if (!data.job_id) {
+            return data;
+        }
+        const lease = new JobLease(controlClient, controlUrl, data.job_id, data.lease_seconds);
+        if (!(await lease.acknowledge(data.url))) {
+            pollLogger.warn(`Job ${data.job_id} is no longer leased to this worker, dropping it`, { url: data.url });
+            return null;
+        }
+        lease.onLost = () => {
+            // Expired or reassigned while waiting, another worker has it now
+            queuedLeases.delete(data);
+            prefetchQueue.remove(data);
+        };
+        lease.startHeartbeat(() => ({ url: data.url, stage: 'queued' }));
+        queuedLeases.set(data, lease);
+        return data;
+    }));
+    return results.filter(Boolean);
+}
+
+function startQueuedJobs() {
+    while (workerMode === 'active' && jobPool.hasFreeSlot() && prefetchQueue.length > 0) {
+        const entry = prefetchQueue.shift();
+        const lease = queuedLeases.get(entry.data) || null;
+        queuedLeases.delete(entry.data);
+        dispatchJob(entry.data, entry.controlUrl, lease);
+    }
+}
+
+/**
+ * Hand jobs this worker will not start back to the server
+ * @param {Object[]} entries - [{ data, controlUrl }]
+ * @param {string} reason - Why the jobs are returned
+ */
+async function releaseJobs(entries, reason) {
+    const byServer = new Map();
+    for (const entry of entries) {
+        if (!byServer.has(entry.controlUrl)) byServer.set(entry.controlUrl, []);
+        byServer.get(entry.controlUrl).push(entry.data);
+    }
+    
+    for (const [controlUrl, jobs] of byServer) {
+        pollLogger.warn(`Releasing ${jobs.length} unstarted job(s)`, { controlUrl, reason, urls: jobs.map(job => job.url) });
+        try {
+            const response = await controlClient.fetch(controlUrl + '/release', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    jobs: jobs.map(job => ({ job_id: job.job_id || null, url: job.url })),
+                    reason: reason,
+                    timestamp: new Date().toISOString()
+                })
+            });
+            if (response.status !== 404) {
+                if (!response.ok) {
+                    pollLogger.warn(`Job release failed with status ${response.status}`, { controlUrl });
+                }
+                continue;
+            }
+        } catch (error) {
+            pollLogger.warn('Failed to release jobs', { controlUrl, error: error.message });
+            continue;
+        }
+        
+        // Older servers requeue rejected jobs reported as errors
+        for (const job of jobs) {
+            await rejectJob(job, controlUrl, reason);
+        }
+    }
+}
+
+async function rejectJob(data, controlUrl, reason) {
+    try {
+        await controlClient.fetch(controlUrl + '/report_error', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                url: data.url,
+                job_id: data.job_id || null,
+                error: reason,
+                rejected: true,
+                timestamp: new Date().toISOString()
+            })
+        });
+    } catch (error) {
+        pollLogger.warn('Failed to report rejected job', { url: data.url, error: error.message });
+    }
+}
+
+async function releaseQueuedJobs(reason) {
+    if (prefetchQueue.length === 0) return;
+    const entries = await prefetchQueue.takeAll();
+    for (const entry of entries) {
+        queuedLeases.get(entry.data)?.stopHeartbeat();
+        queuedLeases.delete(entry.data);
+    }
+    await releaseJobs(entries, reason);
+}
+
+function getFreeSlots() {
+    if (workerMode !== 'active') return 0;
+    return Math.max(0, jobPool.size - jobPool.activeCount);
+}
+
+function updateProcessingStatus() {
+    const jobs = jobPool.getActiveJobs();
+    const outage = getServerOutage();
+    if (outage && jobs.length === 0) {
+        setStatus(`Server unreachable since ${new Date(outage.unreachableSince).toLocaleString()}`);
+    } else if (workerMode === 'paused') {
+        setStatus(jobs.length > 0 ? `Paused, finishing ${jobs.length} job(s)` : 'Paused by control server');
+    } else if (workerMode === 'draining') {
+        setStatus(`Draining, ${jobs.length} job(s) left`);
+    } else if (jobs.length === 0) {
+        setStatus(isContinuousPolling || jobStream.isConnected ? 'Waiting for URLs' : 'Idle');
+    } else if (jobs.length === 1) {
+        setStatus(`Processing URL: ${jobs[0].url}`);
+    } else {
+        setStatus(`Processing ${jobs.length} URLs (pool size ${jobPool.size})`);
+    }
+}
+
 async function startContinuousPolling(controlUrl) {
     if (isContinuousPolling) {
         pollLogger.debug('Continuous polling already active');
@@ -427,15 +1634,35 @@ async function startContinuousPolling(controlUrl) {
     }
     
     isContinuousPolling = true;
+    const controller = new AbortController();
+    pollingController = controller;
+    pollingControlUrl = controlUrl;
+    const breaker = getCircuitBreaker(controlUrl);
     pollLogger.info('Starting continuous polling', { controlUrl });
     
-    while (isContinuousPolling) {
+    while (isContinuousPolling && !controller.signal.aborted) {
+        // A paused worker keeps listening for the command resuming it
+        if (workerMode !== 'active') {
+            await pollCommands(controlUrl, controller.signal);
+            continue;
+        }
+        
+        startQueuedJobs();
+        
+        // Only fetch when a slot or the prefetch queue can take more jobs
+        if (!jobPool.hasFreeSlot() && prefetchQueue.length >= prefetchSize) {
+            await jobPool.waitForSlot();
+            continue;
+        }
+        
         const shouldContinue = await pollServer(controlUrl);
         
         if (!shouldContinue) {
-            pollLogger.warn('Continuous polling stopped due to error');
-            isContinuousPolling = false;
-            break;
+            // Keep polling through outages, at the pace of the backoff
+            const delay = Math.max(breaker.getDelay(), MIN_POLL_RETRY_DELAY);
+            pollLogger.debug('Waiting before next poll', { delay, circuit: breaker.state });
+            await sleep(delay, controller.signal).catch(() => {});
+            continue;
         }
         
         // Small delay between polls to prevent CPU spinning
@@ -447,9 +1674,58 @@ async function startContinuousPolling(controlUrl) {
     pollLogger.info('Continuous polling ended');
 }
 
+// Command channel used while no jobs are fetched
+async function pollCommands(controlUrl, signal = null) {
+    const breaker = getCircuitBreaker(controlUrl);
+    if (!breaker.canRequest()) {
+        await sleep(Math.max(breaker.getDelay(), MIN_POLL_RETRY_DELAY), signal).catch(() => {});
+        return;
+    }
+    
+    try {
+        const response = await fetchWithTimeout(`${controlUrl}/get_commands`, {}, 30000);
+        
+        if (response.status === 404) {
+            // Older servers only send commands with jobs, check back later
+            breaker.recordSuccess();
+            await sleep(30000, signal).catch(() => {});
+            return;
+        }
+        if (response.status === 204) {
+            breaker.recordSuccess();
+            return;
+        }
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        const responseText = await response.text();
+        if (!(await controlClient.verifyResponse(response, responseText))) {
+            throw new Error('Command response signature verification failed');
+        }
+        
+        const data = JSON.parse(responseText);
+        breaker.recordSuccess();
+        remoteCommands.handleCommands(data.commands, controlUrl);
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            breaker.recordSuccess();
+        } else {
+            commandLogger.warn('Command poll failed', { error: error.message });
+            breaker.recordFailure(error);
+            await sleep(Math.max(breaker.getDelay(), MIN_POLL_RETRY_DELAY), signal).catch(() => {});
+        }
+    }
+}
+
 async function stopContinuousPolling() {
-    pollLogger.info('Stopping continuous polling');
+    pollLogger.info('Stopping continuous polling', { activeJobs: jobPool.activeCount });
     isContinuousPolling = false;
+    // Let a loop waiting for a free slot or backing off notice the stop
+    pollingController?.abort();
+    pollingController = null;
+    pollingControlUrl = null;
+    jobPool.wakeWaiters();
 }
 
 async function initializeExtension() {
@@ -458,19 +1734,42 @@ async function initializeExtension() {
     try {
         // Restore previous state
         await restoreState();
+        await extractionProfiles.load();
+        await CrawlFrontier.removeStale();
         
-        const settings = await chrome.storage.sync.get(['controlUrl', 'pollInterval']);
+        let settings = await chrome.storage.sync.get(['controlUrl', 'pollInterval', 'concurrency', 'prefetchSize', 'jobTransport']);
         initLogger.debug('Loaded stored settings', settings);
+        jobPool.setSize(settings.concurrency || defaultSettings.concurrency);
+        prefetchSize = PrefetchQueue.normalizeSize(settings.prefetchSize ?? defaultSettings.prefetchSize);
+        
+        // Jobs prefetched by a previous worker instance were never started, return them
+        const orphanedJobs = await prefetchQueue.takePersisted();
+        if (orphanedJobs.length > 0) {
+            await releaseJobs(orphanedJobs, 'Worker restarted');
+        }
 
         initLogger.debug('Initializing UrlSettingsManager');
         urlSettingsManager.onSettingsUpdated = async (newSettings) => {
             settingsLogger.info('Settings updated from URL', newSettings);
-            await startPollingWithSettings(newSettings);
+            const activeUrl = await configureEndpoints(newSettings);
+            const adjusted = await registerWorker(activeUrl);
+            await startPollingWithSettings({ ...newSettings, ...adjusted });
         };
         
+        // Retry results left in the outbox by a previous worker instance
+        await chrome.alarms.create(OUTBOX_ALARM_NAME, { periodInMinutes: 1 });
+        flushOutbox();
+        
         initLogger.debug('Checking for existing config tabs');
         await urlSettingsManager.checkConfigTabs();
 
+        if (settings.controlUrl) {
+            // The server may adjust our parameters in its reply
+            const activeUrl = await configureEndpoints(settings);
+            const adjusted = await registerWorker(activeUrl);
+            settings = { ...settings, ...adjusted };
+        }
+
         if (settings.controlUrl && settings.pollInterval) {
             initLogger.info('Starting polling with stored settings', settings);
             await startPollingWithSettings(settings);
@@ -492,6 +1791,19 @@ async function startPollingWithSettings(settings) {
         return;
     }
     
+    if (settings.concurrency) {
+        jobPool.setSize(settings.concurrency);
+    }
+    if (settings.prefetchSize !== undefined) {
+        prefetchSize = PrefetchQueue.normalizeSize(settings.prefetchSize);
+    }
+    
+    // Jobs are fetched from the active endpoint, the primary unless failed over
+    const controlUrl = await configureEndpoints(settings);
+    if (isContinuousPolling && pollingControlUrl !== controlUrl) {
+        stopContinuousPolling();
+    }
+    
     // Clear any existing alarms
     await chrome.alarms.clear(ALARM_NAME);
     
@@ -509,21 +1821,283 @@ async function startPollingWithSettings(settings) {
     
     pollLogger.info(`Set up backup alarm every ${periodInMinutes} minutes (${settings.pollInterval} seconds)`);
     
-    // Start continuous polling
-    startContinuousPolling(settings.controlUrl);
+    // The popup does not send the transport, fall back to the stored one
+    const jobTransport = settings.jobTransport ||
+        (await chrome.storage.sync.get('jobTransport')).jobTransport ||
+        defaultSettings.jobTransport;
+    
+    if (PUSH_TRANSPORTS.includes(jobTransport)) {
+        pollLogger.info('Using push job delivery', { jobTransport, controlUrl });
+        jobStream.start(controlUrl, jobTransport);
+    } else {
+        jobStream.stop();
+        // Start continuous polling
+        startContinuousPolling(controlUrl);
+    }
+}
+
+/**
+ * Apply the primary and standby control servers of the settings
+ * @param {Object} settings - Settings with controlUrl and optionally standbyUrls
+ * @returns {Promise<string>} The active control URL
+ */
+async function configureEndpoints(settings) {
+    const standbyUrls = settings.standbyUrls ??
+        (await chrome.storage.sync.get('standbyUrls')).standbyUrls ??
+        defaultSettings.standbyUrls;
+    const activeUrl = await controlEndpoints.setEndpoints([settings.controlUrl, ...standbyUrls]);
+    Logger.setActiveControlUrl(activeUrl);
+    return activeUrl;
+}
+
+// New jobs come from the new server; running jobs finish with the server that leased them
+async function handleEndpointSwitch(newUrl, oldUrl, reason) {
+    Logger.setActiveControlUrl(newUrl);
+    updateProcessingStatus();
+    
+    const wasRunning = isContinuousPolling || jobStream.isActive;
+    stopContinuousPolling();
+    jobStream.stop();
+    
+    const adjusted = await registerWorker(newUrl);
+    if (wasRunning) {
+        const settings = await chrome.storage.sync.get(defaultSettings);
+        await startPollingWithSettings({ ...settings, ...adjusted });
+    }
+    settingsLogger.info(`Control server switched after ${reason}`, { from: oldUrl, to: newUrl, restarted: wasRunning });
+}
+
+// Announce this worker and its capabilities to the control server
+async function registerWorker(controlUrl) {
+    if (!controlUrl) return {};
+    
+    const manifest = chrome.runtime.getManifest();
+    const settings = await chrome.storage.sync.get(defaultSettings);
+    const registration = {
+        instance_id: await logger.getInstanceId(),
+        container: await logger.getContainerName(),
+        extension_name: manifest.name,
+        extension_version: manifest.version,
+        features: {
+            ...WORKER_FEATURES,
+            concurrency: { current: jobPool.size, max: MAX_POOL_SIZE },
+            prefetch: { current: prefetchSize, max: MAX_PREFETCH_SIZE },
+            commands: remoteCommands.getCommandNames()
+        },
+        settings: {
+            poll_interval: settings.pollInterval,
+            standby_urls: settings.standbyUrls,
+            concurrency: settings.concurrency,
+            prefetch_size: settings.prefetchSize,
+            job_transport: settings.jobTransport,
+            upload_mode: settings.uploadMode
+        },
+        timestamp: new Date().toISOString()
+    };
+    
+    try {
+        const response = await fetchWithTimeout(controlUrl + '/register', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(registration)
+        }, 10000);
+        
+        if (response.status === 404) {
+            registerLogger.info('Control server does not support registration');
+            return {};
+        }
+        if (!response.ok) {
+            registerLogger.warn(`Registration failed with status ${response.status}`, { controlUrl });
+            return {};
+        }
+        
+        const reply = await response.json().catch(() => ({}));
+        registerLogger.info('Worker registered with control server', {
+            controlUrl,
+            instanceId: registration.instance_id,
+            container: registration.container
+        });
+        return await applyRemoteSettings(reply.settings, 'registration reply');
+    } catch (error) {
+        // Registration is informational, the worker runs without it
+        registerLogger.warn('Worker registration failed', { controlUrl, error: error.message });
+        return {};
+    }
+}
+
+// Only these settings may be changed by the control server, wire name -> validator
+const REMOTE_SETTINGS = {
+    poll_interval: (value) => {
+        const parsed = parseInt(value);
+        return parsed >= 1 ? { pollInterval: parsed } : null;
+    },
+    concurrency: (value) => {
+        const parsed = parseInt(value);
+        return parsed >= 1 && parsed <= MAX_POOL_SIZE ? { concurrency: parsed } : null;
+    },
+    standby_urls: (value) => {
+        if (!Array.isArray(value)) return null;
+        const valid = value.every(url => {
+            try {
+                return ['http:', 'https:'].includes(new URL(url).protocol);
+            } catch (e) {
+                return false;
+            }
+        });
+        return valid ? { standbyUrls: value } : null;
+    },
+    prefetch_size: (value) => {
+        const parsed = parseInt(value);
+        return parsed >= 0 && parsed <= MAX_PREFETCH_SIZE ? { prefetchSize: parsed } : null;
+    },
+    job_transport: (value) => (JOB_TRANSPORTS.includes(value) ? { jobTransport: value } : null),
+    upload_mode: (value) => (UPLOAD_MODES.includes(value) ? { uploadMode: value } : null)
+};
+
+/**
+ * Validate and store settings sent by the control server
+ * @param {Object} remoteSettings - Settings in wire format (snake_case)
+ * @param {string} source - Where the settings came from, for logging
+ * @returns {Promise<Object>} The applied settings in storage format
+ */
+async function applyRemoteSettings(remoteSettings, source) {
+    if (!remoteSettings || typeof remoteSettings !== 'object') return {};
+    
+    const applied = {};
+    const rejected = [];
+    for (const [key, value] of Object.entries(remoteSettings)) {
+        const setting = REMOTE_SETTINGS[key] ? REMOTE_SETTINGS[key](value) : null;
+        if (setting) {
+            Object.assign(applied, setting);
+        } else {
+            rejected.push(key);
+        }
+    }
+    
+    if (rejected.length > 0) {
+        settingsLogger.warn(`Ignored invalid settings from ${source}`, { rejected });
+    }
+    if (Object.keys(applied).length === 0) return {};
+    
+    await chrome.storage.sync.set(applied);
+    if (applied.concurrency) {
+        jobPool.setSize(applied.concurrency);
+    }
+    if (applied.prefetchSize !== undefined) {
+        prefetchSize = applied.prefetchSize;
+    }
+    settingsLogger.info(`Applied settings from ${source}`, applied);
+    return applied;
+}
+
+async function setWorkerMode(mode) {
+    if (workerMode === mode) return;
+    commandLogger.info('Worker mode changing', { from: workerMode, to: mode });
+    workerMode = mode;
+    updateProcessingStatus();
+    await saveState();
+    if (mode !== 'active') {
+        await releaseQueuedJobs(`Worker is ${mode}`);
+    }
+    // Polling loops waiting for a slot re-check the mode
+    jobPool.wakeWaiters();
+    jobStream.sendCredit(getFreeSlots());
 }
 
+remoteCommands.register('pause', async () => {
+    await setWorkerMode('paused');
+    return { active_jobs: jobPool.activeCount };
+});
+
+remoteCommands.register('resume', async () => {
+    await setWorkerMode('active');
+    return { active_jobs: jobPool.activeCount };
+});
+
+// Stop taking jobs and acknowledge once the running ones have finished
+remoteCommands.register('drain', async () => {
+    const drainedJobs = jobPool.activeCount;
+    await setWorkerMode('draining');
+    await jobPool.drain();
+    // A resume may have arrived while draining
+    if (workerMode === 'draining') {
+        await setWorkerMode('paused');
+    }
+    return { drained_jobs: drainedJobs };
+});
+
+remoteCommands.register('clear_logs', async () => {
+    await Logger.clearLogs();
+    return {};
+});
+
+remoteCommands.register('upload_logs', async (params, controlUrl) => {
+    const limit = parseInt(params.limit) || 500;
+    const logs = (await Logger.getLogs()).slice(-limit);
+    
+    const response = await controlClient.fetch(controlUrl + '/logs', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            instance_id: await logger.getInstanceId(),
+            container: await logger.getContainerName(),
+            logs,
+            timestamp: new Date().toISOString()
+        })
+    });
+    if (!response.ok) {
+        throw new Error(`Log upload failed with status ${response.status}`);
+    }
+    return { uploaded: logs.length };
+});
+
+remoteCommands.register('reload', async () => {
+    // Give the acknowledgement time to reach the server first
+    setTimeout(() => chrome.runtime.reload(), 2000);
+    return { active_jobs: jobPool.activeCount };
+});
+
+remoteCommands.register('clear_locks', async () => {
+    await stateLock.clearAllLocks();
+    return {};
+});
+
+remoteCommands.register('set_extraction_profile', async (params) => {
+    const domain = await extractionProfiles.set(params.domain, params.schema);
+    return { domain, profiles: extractionProfiles.list() };
+});
+
+remoteCommands.register('remove_extraction_profile', async (params) => {
+    const removed = await extractionProfiles.remove(params.domain);
+    return { removed, profiles: extractionProfiles.list() };
+});
+
+remoteCommands.register('apply_settings', async (params) => {
+    const applied = await applyRemoteSettings(params.settings || params, 'remote command');
+    
+    // Interval, transport and endpoints only take effect when polling is restarted
+    if (applied.pollInterval || applied.jobTransport || applied.standbyUrls) {
+        const settings = await chrome.storage.sync.get(defaultSettings);
+        if (settings.controlUrl) {
+            await startPollingWithSettings(settings);
+        }
+    }
+    return { applied };
+});
+
 // State persistence functions
 async function saveState() {
+    isProcessing = jobPool.activeCount > 0;
     await chrome.storage.local.set({
         lastPollTime: lastPollTime,
         isProcessing: isProcessing,
-        currentStatus: currentStatus
+        currentStatus: currentStatus,
+        workerMode: workerMode
     });
 }
 
 async function restoreState() {
-    const state = await chrome.storage.local.get(['lastPollTime', 'isProcessing', 'currentStatus']);
+    const state = await chrome.storage.local.get(['lastPollTime', 'isProcessing', 'currentStatus', 'workerMode', CIRCUIT_STORAGE_KEY]);
     if (state.lastPollTime) {
         const timeSinceLastPoll = Date.now() - state.lastPollTime;
         if (timeSinceLastPoll > 120000) { // 2 minutes
@@ -533,22 +2107,98 @@ async function restoreState() {
     }
     if (state.isProcessing !== undefined) isProcessing = state.isProcessing;
     if (state.currentStatus) currentStatus = state.currentStatus;
+    // A pause survives restarts, an unfinished drain leaves the worker paused
+    if (state.workerMode && state.workerMode !== 'active') workerMode = 'paused';
+    // An outage outlives the worker, the next instance keeps backing off
+    if (state[CIRCUIT_STORAGE_KEY]) savedCircuitBreakers = state[CIRCUIT_STORAGE_KEY];
+    
+    await reportInterruptedJobs();
     return state;
 }
 
+// Jobs persisted by a previous service worker instance were lost mid-processing
+async function reportInterruptedJobs() {
+    const processingStates = await stateLock.getStatesByPrefix(PROCESSING_STATE_PREFIX);
+    
+    for (const [resource, jobState] of Object.entries(processingStates)) {
+        if (jobState.startTime >= workerStartTime) {
+            continue; // Started by this instance
+        }
+        
+        initLogger.warn('Found job interrupted by worker restart', {
+            url: jobState.url,
+            jobId: jobState.jobId,
+            processId: jobState.processId,
+            age: Date.now() - jobState.startTime
+        });
+        
+        if (jobState.tabId) {
+            try {
+                await chrome.tabs.remove(jobState.tabId);
+            } catch (e) {
+                // Tab is already gone
+            }
+        }
+        
+        if (jobState.controlUrl) {
+            try {
+                const response = await controlClient.fetch(jobState.controlUrl + '/report_error', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        url: jobState.url,
+                        job_id: jobState.jobId,
+                        error: 'Job interrupted by worker restart',
+                        interrupted: true,
+                        timestamp: new Date().toISOString()
+                    })
+                });
+                initLogger.info('Reported interrupted job', {
+                    jobId: jobState.jobId,
+                    status: response.status
+                });
+            } catch (reportError) {
+                initLogger.warn('Failed to report interrupted job', {
+                    jobId: jobState.jobId,
+                    error: reportError.message
+                });
+            }
+        }
+        
+        await stateLock.clearState(resource);
+    }
+}
+
 // Alarm listener for persistent polling (backup mechanism)
 chrome.alarms.onAlarm.addListener(async (alarm) => {
+    if (alarm.name === OUTBOX_ALARM_NAME) {
+        await flushOutbox();
+        return;
+    }
+    
     if (alarm.name === ALARM_NAME) {
-        const settings = await chrome.storage.sync.get(['controlUrl']);
+        const settings = await chrome.storage.sync.get(['controlUrl', 'jobTransport']);
+        const controlUrl = controlEndpoints.activeUrl || settings.controlUrl;
         
-        if (settings.controlUrl && !isContinuousPolling) {
+        // Health checks of the standbys piggyback on the alarm as well
+        controlEndpoints.evaluate();
+        
+        // The alarm doubles as liveness check of the job stream
+        const usesPush = PUSH_TRANSPORTS.includes(settings.jobTransport);
+        if (controlUrl && usesPush) {
+            jobStream.start(controlUrl, settings.jobTransport);
+        }
+        
+        // A stream still connecting delivers the jobs soon, polling only replaces one that failed
+        const pollingWanted = !usesPush || jobStream.isFallback;
+        if (controlUrl && pollingWanted && !isContinuousPolling) {
             pollLogger.info('Alarm triggered - restarting continuous polling');
             lastPollTime = Date.now();
             await saveState();
             
-            // Check for stale processing state
-            const processingState = await stateLock.getState('processing');
-            if (processingState) {
+            // Check for stale per-job processing states
+            const processingStates = await stateLock.getStatesByPrefix(PROCESSING_STATE_PREFIX);
+            for (const [resource, processingState] of Object.entries(processingStates)) {
                 const age = Date.now() - processingState.startTime;
                 if (age > 600000) { // 10 minutes - definitely stale
                     pollLogger.warn('Clearing stale processing state', {
@@ -556,18 +2206,19 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
                         age: age,
                         processId: processingState.processId
                     });
-                    await stateLock.clearState('processing');
-                    isProcessing = false;
-                    await saveState();
+                    await stateLock.clearState(resource);
                 }
             }
+            await saveState();
             
             // Restart continuous polling
-            startContinuousPolling(settings.controlUrl);
+            startContinuousPolling(controlUrl);
         } else {
-            pollLogger.debug('Skipping alarm - continuous polling active', { 
-                hasControlUrl: !!settings.controlUrl,
-                isContinuousPolling: isContinuousPolling
+            pollLogger.debug('Skipping alarm - continuous polling or job stream active', { 
+                hasControlUrl: !!controlUrl,
+                isContinuousPolling: isContinuousPolling,
+                streamConnected: jobStream.isConnected,
+                streamFallback: jobStream.isFallback
             });
         }
     }
@@ -580,7 +2231,8 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     switch (request.type) {
         case 'start_polling':
             messageLogger.info('Start polling requested', request);
-            startPollingWithSettings(request).then(() => {
+            // Starting from the popup overrides a remote pause
+            setWorkerMode('active').then(() => startPollingWithSettings(request)).then(() => {
                 sendResponse({ status: currentStatus });
             });
             break;
@@ -588,7 +2240,8 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         case 'stop_polling':
             messageLogger.info('Stop polling requested');
             stopContinuousPolling();
-            chrome.alarms.clear(ALARM_NAME).then(() => {
+            jobStream.stop();
+            releaseQueuedJobs('Worker stopped').then(() => chrome.alarms.clear(ALARM_NAME)).then(() => {
                 setStatus('Polling stopped');
                 return saveState();
             }).then(() => {
@@ -601,7 +2254,16 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             
         case 'get_status':
             messageLogger.debug('Status requested', { currentStatus });
-            sendResponse({ status: currentStatus });
+            resultOutbox.count().then(outboxDepth => {
+                sendResponse({
+                    status: currentStatus,
+                    outboxDepth,
+                    prefetchedJobs: prefetchQueue.length,
+                    serverOutage: getServerOutage(),
+                    activeControlUrl: controlEndpoints.activeUrl,
+                    failedOver: controlEndpoints.isFailedOver
+                });
+            });
             break;
             
         case 'get_logs':
@@ -633,15 +2295,11 @@ chrome.runtime.onInstalled.addListener(async ({ reason }) => {
     logger.info('Extension installed/updated', { reason, time: new Date().toISOString() });
     
     // Get current settings and start polling if configured
-    const settings = await chrome.storage.sync.get(['controlUrl', 'pollInterval']);
+    const settings = await chrome.storage.sync.get(defaultSettings);
     if (settings.controlUrl && settings.pollInterval) {
-        const interval = parseInt(settings.pollInterval);
-        const periodInMinutes = Math.max(0.5, interval / 60); // Convert seconds to minutes, minimum 30s
-        await chrome.alarms.create(ALARM_NAME, { periodInMinutes: periodInMinutes });
-        logger.info('Polling alarm created', { intervalSeconds: interval, periodInMinutes: periodInMinutes });
-        
-        // Start continuous polling immediately
-        startContinuousPolling(settings.controlUrl);
+        // Sets up the alarm and picks the job transport like the popup's start does
+        await startPollingWithSettings(settings);
+        logger.info('Job intake started', { pollInterval: settings.pollInterval, jobTransport: settings.jobTransport });
     }
 });
 
@@ -649,16 +2307,11 @@ chrome.runtime.onInstalled.addListener(async ({ reason }) => {
 chrome.runtime.onStartup.addListener(async () => {
     logger.info('Browser started, extension loading', { time: new Date().toISOString() });
     
-    // Restore alarms
-    const settings = await chrome.storage.sync.get(['controlUrl', 'pollInterval']);
+    // Restore alarms and job intake over the configured transport
+    const settings = await chrome.storage.sync.get(defaultSettings);
     if (settings.controlUrl && settings.pollInterval) {
-        const interval = parseInt(settings.pollInterval);
-        const periodInMinutes = Math.max(0.5, interval / 60); // Convert seconds to minutes, minimum 30s
-        await chrome.alarms.create(ALARM_NAME, { periodInMinutes: periodInMinutes });
-        logger.info('Polling alarm restored', { intervalSeconds: interval, periodInMinutes: periodInMinutes });
-        
-        // Start continuous polling immediately
-        startContinuousPolling(settings.controlUrl);
+        await startPollingWithSettings(settings);
+        logger.info('Job intake restored', { pollInterval: settings.pollInterval, jobTransport: settings.jobTransport });
     }
 });
 
@@ -1,9 +1,18 @@
 import Logger from './logger.js';
+import { abortable } from './jobCancellation.js';
+
+// captureVisibleTab only sees the active tab of a window, so full-page captures
+// of concurrent jobs are chained and run one at a time
+let captureQueue = Promise.resolve();
+
+// Time for the browser to paint a tab after it was activated
+const TAB_ACTIVATION_DELAY = 300;
 
 // Message handler for screenshot capture requests
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.action === "captureVisibleTab") {
-        chrome.tabs.captureVisibleTab(null, { 
+        const windowId = sender.tab ? sender.tab.windowId : null;
+        chrome.tabs.captureVisibleTab(windowId, { 
             format: "png", 
             quality: 100 
         }, (dataUrl) => {
@@ -29,10 +38,53 @@ export default class ScreenshotCapture {
         });
     }
 
-    async captureFullPage(tabId) {
+    // Serialize full-page captures across all jobs
+    // settings: { format, quality, full_page, max_height } from the job options
+    async captureFullPage(tabId, signal = null, settings = {}) {
+        const queuedAt = Date.now();
+        const capture = captureQueue.then(async () => {
+            // Cancelled while waiting for its turn
+            if (signal?.aborted) {
+                throw signal.reason;
+            }
+            this.logger.debug(`Starting queued screenshot for tab ${tabId}`, {
+                queueWait: Date.now() - queuedAt
+            });
+            await this.activateTab(tabId);
+            return this.captureTab(tabId, signal, settings);
+        });
+
+        // Keep the queue alive even if this capture fails
+        captureQueue = capture.catch(() => {});
+        return abortable(capture, signal);
+    }
+
+    async activateTab(tabId) {
+        await chrome.tabs.update(tabId, { active: true });
+        await new Promise(resolve => setTimeout(resolve, TAB_ACTIVATION_DELAY));
+    }
+
+    async captureTab(tabId, signal = null, settings = {}) {
+        const { format = 'png', quality = 90, full_page: fullPage = true, max_height: maxHeight = null } = settings;
         try {
             return new Promise((resolve, reject) => {
-                chrome.tabs.sendMessage(tabId, { action: "takeScreenshot" }, async (response) => {
+                // Stop the scroll loop in the page when the job is cancelled
+                const onAbort = () => {
+                    this.logger.info(`Screenshot capture cancelled for tab ${tabId}`);
+                    chrome.tabs.sendMessage(tabId, { action: "cancelScreenshot" }, () => {
+                        // Tab may already be closing, nothing to do
+                        void chrome.runtime.lastError;
+                    });
+                    reject(signal.reason);
+                };
+                signal?.addEventListener('abort', onAbort, { once: true });
+
+                chrome.tabs.sendMessage(tabId, { action: "takeScreenshot", fullPage, maxHeight }, async (response) => {
+                    signal?.removeEventListener('abort', onAbort);
+                    if (signal?.aborted) {
+                        return;
+                    }
+
                     if (chrome.runtime.lastError) {
                         this.logger.error('Screenshot capture failed', { 
                             error: chrome.runtime.lastError 
@@ -62,6 +114,9 @@ export default class ScreenshotCapture {
                         // Draw each image
                         let yOffset = 0;
                         for (const dataUrl of images) {
+                            if (signal?.aborted) {
+                                throw signal.reason;
+                            }
                             const blob = await fetch(dataUrl).then(r => r.blob());
                             const bitmap = await createImageBitmap(blob);
                             ctx.drawImage(bitmap, 0, yOffset);
@@ -71,10 +126,10 @@ export default class ScreenshotCapture {
 
                         firstBitmap.close();
 
-                        // Convert to blob and resolve
-                        const finalBlob = await canvas.convertToBlob({ 
-                            type: 'image/png' 
-                        });
+                        // Convert to blob and resolve, parts are kept lossless until here
+                        const finalBlob = await canvas.convertToBlob(format === 'jpeg'
+                            ? { type: 'image/jpeg', quality: quality / 100 }
+                            : { type: 'image/png' });
                         resolve(await this.blobToBase64(finalBlob));
 
                     } catch (error) {
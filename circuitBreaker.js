@@ -0,0 +1,147 @@
+// circuitBreaker.js - Backoff and circuit breaking for control server outages
+
+import Logger from './logger.js';
+
+// Consecutive failures before the server is considered unreachable
+const FAILURE_THRESHOLD = 3;
+
+// Retry delay: 1s, 2s, 4s, ... capped at five minutes, plus jitter
+const BASE_DELAY = 1000;
+const MAX_DELAY = 300000;
+const MAX_JITTER = 1000;
+
+export const CIRCUIT_STATES = {
+    CLOSED: 'closed',       // Server healthy, requests flow
+    OPEN: 'open',           // Server unreachable, requests wait for the backoff
+    HALF_OPEN: 'half_open'  // Backoff over, one probe request decides
+};
+
+export default class CircuitBreaker {
+    /**
+     * @param {string} name - Server the breaker protects, used in logs
+     * @param {Object} saved - State persisted by a previous worker instance
+     */
+    constructor(name, saved = null) {
+        this.name = name;
+        this.logger = new Logger('CIRCUIT');
+        this.state = CIRCUIT_STATES.CLOSED;
+        this.consecutiveFailures = 0;
+        this.totalFailures = 0;
+        this.unreachableSince = null;
+        this.nextAttemptAt = 0;
+        this.lastError = null;
+        this.probeInFlight = false;
+        this.onChange = null;  // Called with the breaker after each state change
+
+        if (saved) {
+            Object.assign(this, {
+                state: saved.state === CIRCUIT_STATES.CLOSED ? CIRCUIT_STATES.CLOSED : CIRCUIT_STATES.OPEN,
+                consecutiveFailures: saved.consecutiveFailures || 0,
+                totalFailures: saved.totalFailures || 0,
+                unreachableSince: saved.unreachableSince || null,
+                nextAttemptAt: saved.nextAttemptAt || 0,
+                lastError: saved.lastError || null
+            });
+        }
+    }
+
+    get isOpen() {
+        return this.state !== CIRCUIT_STATES.CLOSED;
+    }
+
+    /**
+     * Whether a request may be sent now; an expired open circuit lets one probe through
+     * @returns {boolean}
+     */
+    canRequest() {
+        if (this.state === CIRCUIT_STATES.CLOSED) {
+            return Date.now() >= this.nextAttemptAt;
+        }
+        if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+            return !this.probeInFlight;
+        }
+        if (Date.now() < this.nextAttemptAt) {
+            return false;
+        }
+
+        this.state = CIRCUIT_STATES.HALF_OPEN;
+        this.probeInFlight = true;
+        this.logger.info('Probing control server', {
+            server: this.name,
+            consecutiveFailures: this.consecutiveFailures,
+            unreachableSince: new Date(this.unreachableSince).toISOString()
+        });
+        this._notify();
+        return true;
+    }
+
+    // Milliseconds until the next request is allowed
+    getDelay() {
+        return Math.max(0, this.nextAttemptAt - Date.now());
+    }
+
+    recordSuccess() {
+        this.probeInFlight = false;
+        if (this.consecutiveFailures === 0 && this.state === CIRCUIT_STATES.CLOSED) {
+            return;
+        }
+
+        this.logger.info('Control server reachable again', {
+            server: this.name,
+            failedAttempts: this.consecutiveFailures,
+            totalFailures: this.totalFailures,
+            downtime: this.unreachableSince ? Date.now() - this.unreachableSince : 0
+        });
+        this.state = CIRCUIT_STATES.CLOSED;
+        this.consecutiveFailures = 0;
+        this.unreachableSince = null;
+        this.nextAttemptAt = 0;
+        this.lastError = null;
+        this._notify();
+    }
+
+    recordFailure(error) {
+        this.probeInFlight = false;
+        this.consecutiveFailures++;
+        this.totalFailures++;
+        this.lastError = error?.message || String(error);
+
+        const delay = Math.min(BASE_DELAY * Math.pow(2, this.consecutiveFailures - 1), MAX_DELAY)
+            + Math.floor(Math.random() * MAX_JITTER);
+        this.nextAttemptAt = Date.now() + delay;
+
+        if (this.consecutiveFailures >= FAILURE_THRESHOLD) {
+            if (!this.unreachableSince) {
+                this.unreachableSince = Date.now();
+            }
+            this.state = CIRCUIT_STATES.OPEN;
+        }
+
+        this.logger.warn('Control server request failed', {
+            server: this.name,
+            error: this.lastError,
+            state: this.state,
+            consecutiveFailures: this.consecutiveFailures,
+            totalFailures: this.totalFailures,
+            retryIn: delay
+        });
+        this._notify();
+    }
+
+    getStatus() {
+        return {
+            state: this.state,
+            consecutiveFailures: this.consecutiveFailures,
+            totalFailures: this.totalFailures,
+            unreachableSince: this.unreachableSince,
+            nextAttemptAt: this.nextAttemptAt,
+            lastError: this.lastError
+        };
+    }
+
+    _notify() {
+        if (this.onChange) {
+            this.onChange(this);
+        }
+    }
+}
\ No newline at end of file
@@ -24,6 +24,16 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         
         const extractionStartTime = Date.now();
         
+        // Size limits sent with the job, these defaults match the previous fixed ones
+        const limits = {
+            html: 2000000,
+            rawText: 1000000,
+            readableText: 500000,
+            markdown: 500000,
+            links: 1000,
+            ...request.limits
+        };
+        
         // Log initial state
         logToBackground('info', `Starting content extraction`, {
             url: window.location.href,
@@ -83,106 +93,406 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             return hasInfiniteScroll;
         };
         
-        const getMainContent = () => {
-            // Common selectors for main content
-            const contentSelectors = [
-                'main',
-                'article',
-                '[role="main"]',
-                '.main-content',
-                '#main-content',
-                '.content',
-                '#content',
-                '.post-content',
-                '.article-content',
-                // Add more common content selectors as needed
-            ];
+        // Open shadow roots and same-origin frames are invisible to innerText and outerHTML,
+        // so pages using them are composed into one tree first
+        const MAX_FRAME_DEPTH = 3;
+        
+        const frameDocumentOf = (frame) => {
+            try {
+                return frame.contentDocument;  // null for cross-origin frames
+            } catch (e) {
+                return null;
+            }
+        };
+        
+        const composeDocument = () => {
+            const hasShadowRoots = Array.from(document.body.querySelectorAll('*')).some(el => el.shadowRoot);
+            const hasFrames = !!document.body.querySelector('iframe, frame');
+            if (!hasShadowRoots && !hasFrames) {
+                return null;
+            }
             
-            console.log('[CONTENT_EXTRACTOR] Trying content selectors...');
-            logToBackground('debug', 'Starting main content detection', {
-                selectors: contentSelectors.length,
-                documentLength: document.body.innerHTML.length
+            const composeStartTime = Date.now();
+            const frames = [];
+            let shadowRoots = 0;
+            
+            const composeNode = (node, frameDepth) => {
+                if (node.nodeType !== Node.ELEMENT_NODE) {
+                    return node.cloneNode(false);
+                }
+                const tag = node.tagName;
+                if (tag === 'IFRAME' || tag === 'FRAME') {
+                    return composeFrame(node, frameDepth);
+                }
+                
+                // Slots show what the host assigned to them, or their fallback content
+                if (tag === 'SLOT') {
+                    const assigned = node.assignedNodes({ flatten: true });
+                    const fragment = document.createDocumentFragment();
+                    (assigned.length > 0 ? assigned : Array.from(node.childNodes))
+                        .forEach(child => fragment.appendChild(composeNode(child, frameDepth)));
+                    return fragment;
+                }
+                
+                const copy = node.cloneNode(false);
+                // Copies leave the frame document, keep their links pointing where they did
+                if (frameDepth > 0) {
+                    if (node.hasAttribute('href') && node.href) copy.setAttribute('href', node.href);
+                    if (node.hasAttribute('src') && node.src) copy.setAttribute('src', node.src);
+                }
+                if (node.shadowRoot) {
+                    shadowRoots++;
+                }
+                // A shadow root replaces the light children, which come back through its slots
+                Array.from((node.shadowRoot || node).childNodes)
+                    .forEach(child => copy.appendChild(composeNode(child, frameDepth)));
+                return copy;
+            };
+            
+            const composeFrame = (frame, frameDepth) => {
+                const frameDocument = frameDocumentOf(frame);
+                const info = {
+                    index: frames.length + 1,
+                    src: frame.src || 'about:blank',
+                    depth: frameDepth + 1,
+                    sameOrigin: !!frameDocument,
+                    extracted: false
+                };
+                frames.push(info);
+                
+                if (!frameDocument) {
+                    info.reason = 'cross-origin';
+                    return frame.cloneNode(false);
+                }
+                if (!frameDocument.body || frameDepth + 1 > MAX_FRAME_DEPTH) {
+                    info.reason = frameDocument.body ? 'too deeply nested' : 'empty';
+                    return frame.cloneNode(false);
+                }
+                
+                const shadowRootsBefore = shadowRoots;
+                const wrapper = document.createElement('div');
+                wrapper.setAttribute('data-frame-index', info.index);
+                wrapper.setAttribute('data-frame-src', info.src);
+                Array.from(frameDocument.body.childNodes)
+                    .forEach(child => wrapper.appendChild(composeNode(child, frameDepth + 1)));
+                
+                Object.assign(info, {
+                    extracted: true,
+                    title: frameDocument.title || null,
+                    textLength: wrapper.textContent.length,
+                    elementCount: wrapper.querySelectorAll('*').length,
+                    shadowRoots: shadowRoots - shadowRootsBefore
+                });
+                return wrapper;
+            };
+            
+            const root = composeNode(document.body, 0);
+            const composition = {
+                root,
+                frames: [
+                    {
+                        index: 0,
+                        src: window.location.href,
+                        depth: 0,
+                        top: true,
+                        textLength: root.textContent.length,
+                        elementCount: root.querySelectorAll('*').length
+                    },
+                    ...frames
+                ],
+                shadowRoots,
+                composeTime: Date.now() - composeStartTime
+            };
+            logToBackground('info', 'Composed shadow roots and frames into the document', {
+                shadowRoots,
+                frames: frames.length,
+                extractedFrames: frames.filter(frame => frame.extracted).length,
+                composeTime: composition.composeTime
             });
-
-            // Try to find the main content element with timeout protection
-            let mainContent = null;
-            const selectorStartTime = Date.now();
+            return composition;
+        };
+        
+        // Text of a composed tree with line breaks around blocks, the tree is never
+        // rendered so innerText cannot provide them
+        const BLOCK_ELEMENTS = /^(ADDRESS|ARTICLE|ASIDE|BLOCKQUOTE|DD|DETAILS|DIV|DL|DT|FIELDSET|FIGCAPTION|FIGURE|FOOTER|FORM|H[1-6]|HEADER|HR|LI|MAIN|NAV|OL|P|PRE|SECTION|SUMMARY|TABLE|TR|UL)$/;
+        
+        const getBlockText = (root) => {
+            const parts = [];
+            const walk = (node) => {
+                if (node.nodeType === Node.TEXT_NODE) {
+                    parts.push(node.nodeValue.replace(/\s+/g, ' '));
+                    return;
+                }
+                if (node.nodeType !== Node.ELEMENT_NODE || ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE'].includes(node.tagName)) {
+                    return;
+                }
+                if (node.tagName === 'BR') {
+                    parts.push('\n');
+                    return;
+                }
+                const isBlock = BLOCK_ELEMENTS.test(node.tagName);
+                if (isBlock) parts.push('\n');
+                node.childNodes.forEach(walk);
+                if (isBlock) parts.push('\n');
+                if (node.tagName === 'TD' || node.tagName === 'TH') parts.push('\t');
+            };
+            walk(root);
+            return parts.join('').replace(/ *\n[ \n]*/g, '\n').trim();
+        };
+        
+        // outerHTML with open shadow roots as declarative shadow DOM and same-origin frame
+        // documents in a template after their frame, stops once the size limit is reached
+        const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+        const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'noscript']);
+        
+        const serializeComposed = (rootElement, limit) => {
+            const parts = [];
+            let size = 0;
+            const push = (text) => {
+                parts.push(text);
+                size += text.length;
+            };
+            const escapeText = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+            const escapeAttribute = (text) => text.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
             
-            for (const selector of contentSelectors) {
-                // Add timeout check for each selector
-                if (Date.now() - selectorStartTime > 5000) {
-                    console.error('[CONTENT_EXTRACTOR] Selector search timeout after 5 seconds');
-                    break;
+            const serialize = (node, frameDepth) => {
+                if (size > limit) return;
+                if (node.nodeType === Node.TEXT_NODE) {
+                    push(RAW_TEXT_ELEMENTS.has(node.parentNode?.localName) ? node.nodeValue : escapeText(node.nodeValue));
+                    return;
+                }
+                if (node.nodeType === Node.COMMENT_NODE) {
+                    push(`<!--${node.nodeValue}-->`);
+                    return;
+                }
+                if (node.nodeType !== Node.ELEMENT_NODE) {
+                    return;
                 }
                 
-                try {
-                    const element = document.querySelector(selector);
-                    if (element) {
-                        console.log('[CONTENT_EXTRACTOR] Found content with selector:', selector);
-                        mainContent = element;
-                        logToBackground('info', 'Main content detected', {
-                            selector: selector,
-                            element: element.tagName,
-                            className: element.className,
-                            contentLength: element.innerText?.length || 0
-                        });
-                        break;
+                const tag = node.localName;
+                const attributes = Array.from(node.attributes)
+                    .map(attribute => ` ${attribute.name}="${escapeAttribute(attribute.value)}"`)
+                    .join('');
+                push(`<${tag}${attributes}>`);
+                if (VOID_ELEMENTS.has(tag)) return;
+                
+                if (tag === 'template') {
+                    push(node.innerHTML);
+                } else {
+                    if (node.shadowRoot) {
+                        push('<template shadowrootmode="open">');
+                        node.shadowRoot.childNodes.forEach(child => serialize(child, frameDepth));
+                        push('</template>');
+                    }
+                    node.childNodes.forEach(child => serialize(child, frameDepth));
+                }
+                push(`</${tag}>`);
+                
+                if ((tag === 'iframe' || tag === 'frame') && frameDepth < MAX_FRAME_DEPTH) {
+                    const frameDocument = frameDocumentOf(node);
+                    if (frameDocument?.documentElement) {
+                        push(`<template data-frame-src="${escapeAttribute(node.src || 'about:blank')}">`);
+                        serialize(frameDocument.documentElement, frameDepth + 1);
+                        push('</template>');
                     }
-                } catch (e) {
-                    console.error('[CONTENT_EXTRACTOR] Error with selector:', selector, e);
-                    logToBackground('warn', 'Selector error', {
-                        selector: selector,
-                        error: e.message
-                    });
                 }
+            };
+            
+            serialize(rootElement, 0);
+            return parts.join('');
+        };
+        
+        // Readability style scoring: paragraphs vote for their ancestors, weighted by
+        // text length, commas, class/id hints and link density
+        const POSITIVE_HINTS = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story/i;
+        const NEGATIVE_HINTS = /-ad-|hidden|^hid$|banner|combx|comment|com-|contact|foot|footnote|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget|nav|menu/i;
+        const UNLIKELY_CANDIDATES = /banner|breadcrumbs|combx|comment|community|cover-wrap|disqus|extra|footer|gdpr|header|legends|menu|related|remark|replies|rss|shoutbox|sidebar|skyscraper|social|sponsor|supplemental|ad-break|agegate|pagination|pager|popup|cookie/i;
+        const MAYBE_CANDIDATE = /and|article|body|column|content|main|shadow/i;
+        
+        const describeElement = (element) => {
+            const id = element.id ? `#${element.id}` : '';
+            const classes = typeof element.className === 'string' && element.className.trim()
+                ? '.' + element.className.trim().split(/\s+/).slice(0, 3).join('.')
+                : '';
+            return `${element.tagName.toLowerCase()}${id}${classes}`;
+        };
+        
+        const getClassWeight = (element) => {
+            let weight = 0;
+            for (const hint of [element.className, element.id]) {
+                if (typeof hint !== 'string' || !hint) continue;
+                if (NEGATIVE_HINTS.test(hint)) weight -= 25;
+                if (POSITIVE_HINTS.test(hint)) weight += 25;
             }
-
-            // If no main content found, try to find the largest text container
-            if (!mainContent) {
-                console.log('[CONTENT_EXTRACTOR] No main content found with selectors, searching text containers...');
-                const containerStartTime = Date.now();
+            return weight;
+        };
+        
+        const getLinkDensity = (element) => {
+            const textLength = element.textContent.length;
+            if (textLength === 0) return 0;
+            let linkLength = 0;
+            element.querySelectorAll('a').forEach(link => {
+                linkLength += link.textContent.length;
+            });
+            return linkLength / textLength;
+        };
+        
+        const getInitialScore = (element) => {
+            let score = getClassWeight(element);
+            switch (element.tagName) {
+                case 'ARTICLE': case 'MAIN':
+                    score += 10;
+                    break;
+                case 'DIV': case 'SECTION':
+                    score += 5;
+                    break;
+                case 'PRE': case 'TD': case 'BLOCKQUOTE':
+                    score += 3;
+                    break;
+                case 'ADDRESS': case 'OL': case 'UL': case 'DL': case 'DD': case 'DT': case 'LI': case 'FORM':
+                    score -= 3;
+                    break;
+                case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6': case 'TH':
+                    score -= 5;
+                    break;
+            }
+            if (element.getAttribute('role') === 'main') score += 10;
+            return score;
+        };
+        
+        // Elements whose own class or id, or that of an ancestor, marks them as page chrome
+        const isUnlikely = (element, root) => {
+            for (let node = element; node && node !== root; node = node.parentElement) {
+                if (['NAV', 'ASIDE', 'FOOTER', 'HEADER'].includes(node.tagName) && !node.closest('article')) {
+                    return true;
+                }
+                const hint = `${typeof node.className === 'string' ? node.className : ''} ${node.id}`;
+                if (UNLIKELY_CANDIDATES.test(hint) && !MAYBE_CANDIDATE.test(hint) && node.tagName !== 'BODY') {
+                    return true;
+                }
+            }
+            return false;
+        };
+        
+        const getMainContent = (root) => {
+            const detectionStartTime = Date.now();
+            logToBackground('debug', 'Starting main content detection', {
+                documentLength: root.innerHTML.length
+            });
+            
+            // Paragraph-like nodes; divs only count when they hold text rather than blocks
+            const paragraphs = Array.from(root.querySelectorAll('p, pre, td, blockquote, li, div, section'))
+                .filter(el => el.tagName !== 'DIV' && el.tagName !== 'SECTION' ||
+                    !el.querySelector('p, div, section, article, table, ul, ol, pre, blockquote'))
+                .slice(0, 5000);
+            
+            const candidates = new Map();  // element -> { score, paragraphs }
+            const addCandidate = (element) => {
+                if (!candidates.has(element)) {
+                    candidates.set(element, { score: getInitialScore(element), paragraphs: 0 });
+                }
+                return candidates.get(element);
+            };
+            
+            for (const paragraph of paragraphs) {
+                if (Date.now() - detectionStartTime > 3000) {
+                    console.warn('[CONTENT_EXTRACTOR] Paragraph scoring timeout');
+                    break;
+                }
+                const text = paragraph.textContent.trim();
+                if (text.length < 25 || isUnlikely(paragraph, root)) continue;
                 
-                try {
-                    // Limit the number of elements to check to prevent hanging
-                    const allContainers = document.querySelectorAll('div, section');
-                    console.log('[CONTENT_EXTRACTOR] Found', allContainers.length, 'containers to check');
-                    
-                    // Only check first 100 containers to prevent hanging
-                    const containersToCheck = Array.from(allContainers).slice(0, 100);
-                    
-                    const textContainers = containersToCheck
-                        .filter(el => {
-                            // Add timeout check
-                            if (Date.now() - containerStartTime > 3000) {
-                                console.warn('[CONTENT_EXTRACTOR] Container search timeout');
-                                return false;
-                            }
-                            
-                            try {
-                                const text = el.textContent.trim();
-                                return text.length > 100; // Minimum text length to consider as main content
-                            } catch (e) {
-                                return false;
-                            }
-                        })
-                        .sort((a, b) => {
-                            try {
-                                return b.textContent.length - a.textContent.length;
-                            } catch (e) {
-                                return 0;
-                            }
-                        });
-
-                    if (textContainers.length > 0) {
-                        mainContent = textContainers[0];
-                        console.log('[CONTENT_EXTRACTOR] Found largest text container with', mainContent.textContent.length, 'chars');
+                // One point per paragraph, per comma and per 100 characters up to 3
+                const commas = text.split(/[,，]/).length - 1;
+                const contentScore = 1 + commas + Math.min(Math.floor(text.length / 100), 3);
+                
+                // The parent gets the full score, further ancestors less the further up they are
+                let ancestor = paragraph.parentElement;
+                for (let level = 0; ancestor && ancestor !== root.parentNode && level < 3; level++) {
+                    const candidate = addCandidate(ancestor);
+                    candidate.score += level === 0 ? contentScore : contentScore / (level === 1 ? 2 : level * 3);
+                    candidate.paragraphs++;
+                    ancestor = ancestor.parentElement;
+                }
+            }
+            
+            // Links do not make content, a list of them is navigation. Link density is
+            // costly on big pages, so only the best candidates are looked at
+            const ranked = Array.from(candidates.entries())
+                .sort((a, b) => b[1].score - a[1].score)
+                .slice(0, 50)
+                .map(([element, candidate]) => {
+                    const linkDensity = getLinkDensity(element);
+                    return {
+                        element,
+                        linkDensity,
+                        paragraphs: candidate.paragraphs,
+                        score: candidate.score * (1 - linkDensity)
+                    };
+                })
+                .sort((a, b) => b.score - a.score);
+            
+            const describe = (candidate) => ({
+                element: describeElement(candidate.element),
+                score: Math.round(candidate.score * 100) / 100,
+                textLength: candidate.element.textContent.length,
+                linkDensity: Math.round(candidate.linkDensity * 1000) / 1000,
+                paragraphs: candidate.paragraphs
+            });
+            
+            const winner = ranked[0];
+            if (!winner || winner.score <= 0) {
+                logToBackground('info', 'No main content candidate, using body', { candidates: ranked.length });
+                return {
+                    element: root,
+                    sources: [root],
+                    detection: {
+                        method: 'body',
+                        candidates: ranked.length,
+                        runnersUp: ranked.slice(0, 5).map(describe),
+                        detectionTime: Date.now() - detectionStartTime
                     }
-                } catch (e) {
-                    console.error('[CONTENT_EXTRACTOR] Error finding text containers:', e);
+                };
+            }
+            
+            // Siblings scoring close to the winner, or plain text paragraphs, are part of the same content
+            const siblingThreshold = Math.max(10, winner.score * 0.2);
+            const scores = new Map(ranked.map(candidate => [candidate.element, candidate]));
+            const parent = winner.element.parentElement;
+            const merged = parent ? Array.from(parent.children).filter(sibling => {
+                if (sibling === winner.element) return true;
+                // Siblings sharing the winner's class are likely more of the same
+                const bonus = sibling.className && sibling.className === winner.element.className ? winner.score * 0.2 : 0;
+                const candidate = scores.get(sibling);
+                if (candidate && candidate.score + bonus >= siblingThreshold) {
+                    return true;
+                }
+                if (sibling.tagName === 'P') {
+                    const text = sibling.textContent.trim();
+                    const linkDensity = getLinkDensity(sibling);
+                    return (text.length > 80 && linkDensity < 0.25) ||
+                        (text.length > 0 && linkDensity === 0 && /\.( |$)/.test(text));
                 }
+                return false;
+            }) : [winner.element];
+            
+            let mainContent = winner.element;
+            if (merged.length > 1) {
+                mainContent = document.createElement('div');
+                merged.forEach(sibling => mainContent.appendChild(sibling.cloneNode(true)));
             }
-
-            return mainContent || document.body;
+            
+            const detection = {
+                method: 'scoring',
+                winner: describe(winner),
+                runnersUp: ranked.slice(1, 6).map(describe),
+                mergedSiblings: merged.length - 1,
+                candidates: ranked.length,
+                detectionTime: Date.now() - detectionStartTime
+            };
+            logToBackground('info', 'Main content detected', detection);
+            // Merged content is a copy, sources are the elements it was made of
+            return { element: mainContent, sources: merged, detection };
         };
 
         const removeNonEssentialElements = (element) => {
@@ -232,8 +542,345 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             return clone;
         };
 
+        // Markdown of the purified content, keeping the structure innerText flattens
+        const convertToMarkdown = (root) => {
+            const SKIPPED_TAGS = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'SVG', 'CANVAS', 'BUTTON', 'INPUT', 'SELECT', 'TEXTAREA'];
+            const BLOCK_TAGS = ['P', 'DIV', 'SECTION', 'ARTICLE', 'MAIN', 'HEADER', 'FOOTER', 'ASIDE', 'NAV',
+                'FIGURE', 'FIGCAPTION', 'ADDRESS', 'DETAILS', 'SUMMARY', 'FORM', 'FIELDSET'];
+            
+            const block = (text) => {
+                const trimmed = text.trim();
+                return trimmed ? `\n\n${trimmed}\n\n` : '';
+            };
+            // Markers hug the text, surrounding spaces stay outside so words do not run together
+            const inline = (text, marker) => {
+                const trimmed = text.trim();
+                if (!trimmed) return text.length > 0 ? ' ' : '';
+                const lead = /^\s/.test(text) ? ' ' : '';
+                const trail = /\s$/.test(text) ? ' ' : '';
+                return `${lead}${marker}${trimmed}${marker}${trail}`;
+            };
+            const cellText = (cell) => renderChildren(cell).replace(/\s+/g, ' ').replace(/\|/g, '\\|').trim();
+            
+            const renderChildren = (node) => Array.from(node.childNodes).map(renderNode).join('');
+            
+            const renderList = (list) => {
+                const ordered = list.tagName === 'OL';
+                let number = parseInt(list.getAttribute('start')) || 1;
+                const items = Array.from(list.children).filter(child => child.tagName === 'LI').map(item => {
+                    const marker = ordered ? `${number++}. ` : '- ';
+                    // Continuation lines and nested lists line up under the item text
+                    const body = renderChildren(item).trim().replace(/\n{3,}/g, '\n\n');
+                    return marker + body.split('\n').join('\n' + ' '.repeat(marker.length));
+                });
+                return `\n\n${items.join('\n')}\n\n`;
+            };
+            
+            const renderTable = (table) => {
+                const rows = Array.from(table.querySelectorAll('tr'))
+                    .filter(row => row.closest('table') === table)
+                    .map(row => Array.from(row.children)
+                        .filter(cell => cell.tagName === 'TD' || cell.tagName === 'TH')
+                        .map(cellText))
+                    .filter(cells => cells.length > 0);
+                if (rows.length === 0) return '';
+                
+                const width = Math.max(...rows.map(cells => cells.length));
+                const line = (cells) => `| ${Array.from({ length: width }, (_, i) => cells[i] || '').join(' | ')} |`;
+                // Markdown tables need a header, the first row serves as one
+                const [header, ...body] = rows;
+                return block([line(header), line(Array(width).fill('---')), ...body.map(line)].join('\n'));
+            };
+            
+            const renderNode = (node) => {
+                if (node.nodeType === Node.TEXT_NODE) {
+                    return node.nodeValue.replace(/\s+/g, ' ');
+                }
+                if (node.nodeType !== Node.ELEMENT_NODE) {
+                    return '';
+                }
+                
+                const tag = node.tagName.toUpperCase();
+                if (SKIPPED_TAGS.includes(tag) || node.hidden || node.getAttribute('aria-hidden') === 'true') {
+                    return '';
+                }
+                
+                switch (tag) {
+                    case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6': {
+                        const text = renderChildren(node).replace(/\s+/g, ' ').trim();
+                        return text ? block(`${'#'.repeat(Number(tag[1]))} ${text}`) : '';
+                    }
+                    case 'BR':
+                        return '\n';
+                    case 'HR':
+                        return block('---');
+                    case 'STRONG': case 'B':
+                        return inline(renderChildren(node), '**');
+                    case 'EM': case 'I':
+                        return inline(renderChildren(node), '*');
+                    case 'DEL': case 'S': case 'STRIKE':
+                        return inline(renderChildren(node), '~~');
+                    case 'CODE':
+                        return node.closest('pre') ? node.textContent : inline(node.textContent, '`');
+                    case 'PRE': {
+                        const language = (node.querySelector('code')?.className || node.className)
+                            .match(/(?:language|lang)-([\w+-]+)/)?.[1] || '';
+                        return `\n\n\`\`\`${language}\n${node.textContent.replace(/\n$/, '')}\n\`\`\`\n\n`;
+                    }
+                    case 'BLOCKQUOTE': {
+                        const quoted = renderChildren(node).trim().replace(/\n{3,}/g, '\n\n');
+                        return quoted ? block(quoted.split('\n').map(line => `> ${line}`.trimEnd()).join('\n')) : '';
+                    }
+                    case 'UL': case 'OL':
+                        return renderList(node);
+                    case 'LI':
+                        return block(`- ${renderChildren(node).trim()}`);
+                    case 'TABLE':
+                        return renderTable(node);
+                    case 'DT':
+                        return block(`**${renderChildren(node).trim()}**`);
+                    case 'DD':
+                        return `\n: ${renderChildren(node).trim()}\n`;
+                    case 'A': {
+                        const text = renderChildren(node).replace(/\s+/g, ' ').trim();
+                        const href = node.getAttribute('href');
+                        // Anchors without a real target are just text
+                        if (!href || href.startsWith('#') || /^javascript:/i.test(href)) {
+                            return text;
+                        }
+                        return `[${text || node.href}](${node.href})`;
+                    }
+                    case 'IMG': {
+                        const src = node.getAttribute('src') || node.getAttribute('data-src');
+                        if (!src || src.startsWith('data:')) return '';
+                        try {
+                            return `![${(node.getAttribute('alt') || '').replace(/[\[\]]/g, '')}](${new URL(src, document.baseURI).href})`;
+                        } catch (e) {
+                            return '';
+                        }
+                    }
+                    default:
+                        return BLOCK_TAGS.includes(tag) ? block(renderChildren(node)) : renderChildren(node);
+                }
+            };
+            
+            return renderNode(root)
+                .split('\n')
+                .map(line => line.trimEnd())
+                .join('\n')
+                .replace(/\n{3,}/g, '\n\n')
+                .trim();
+        };
+
+        // Every link of the page once, with where on the page it was found
+        const extractLinks = (root, mainSources, limit) => {
+            const pageSite = window.location.hostname.replace(/^www\./, '');
+            const links = new Map();  // URL without fragment -> link
+            let total = 0;
+            let dropped = 0;
+            
+            for (const anchor of root.querySelectorAll('a[href], area[href]')) {
+                const href = anchor.getAttribute('href').trim();
+                if (!href || href.startsWith('#') || /^(javascript|mailto|tel|data):/i.test(href)) continue;
+                
+                let url;
+                try {
+                    url = new URL(href, document.baseURI);
+                } catch (e) {
+                    continue;
+                }
+                if (url.protocol !== 'http:' && url.protocol !== 'https:') continue;
+                total++;
+                
+                url.hash = '';
+                const key = url.href;
+                const inMain = mainSources.some(source => source.contains(anchor));
+                const existing = links.get(key);
+                if (existing) {
+                    // Repeated links count, and are in the main content if any copy is
+                    existing.count++;
+                    existing.main = existing.main || inMain;
+                    existing.text = existing.text || (anchor.textContent || anchor.getAttribute('alt') || '').replace(/\s+/g, ' ').trim();
+                    continue;
+                }
+                if (links.size >= limit) {
+                    dropped++;
+                    continue;
+                }
+                
+                const site = url.hostname.replace(/^www\./, '');
+                const internal = site === pageSite || site.endsWith('.' + pageSite);
+                links.set(key, {
+                    url: key,
+                    text: (anchor.textContent || anchor.getAttribute('alt') || anchor.getAttribute('title') || '')
+                        .replace(/\s+/g, ' ').trim().substring(0, 500),
+                    rel: (anchor.getAttribute('rel') || '').toLowerCase().split(/\s+/).filter(Boolean),
+                    internal,
+                    external: !internal,
+                    nav: !!anchor.closest('nav, header, [role="navigation"], [role="banner"]'),
+                    footer: !!anchor.closest('footer, [role="contentinfo"]'),
+                    main: inMain,
+                    count: 1
+                });
+            }
+            
+            logToBackground('debug', 'Links extracted', { total, unique: links.size, dropped, limit });
+            return { links: Array.from(links.values()), total, dropped };
+        };
+
+        // Metadata the page declares about itself, gathered into one normalized object
+        const extractMetadata = () => {
+            const metadata = {
+                title: document.title || null,
+                description: null,
+                keywords: [],
+                lang: null,
+                canonical: null,
+                alternates: [],
+                openGraph: {},
+                twitter: {},
+                jsonLd: [],
+                microdata: [],
+                rdfa: [],
+                errors: []
+            };
+            
+            const metaContent = (selector) => document.querySelector(selector)?.getAttribute('content')?.trim() || null;
+            
+            // Repeated tags like og:image become lists
+            const addValue = (target, key, value) => {
+                if (!(key in target)) {
+                    target[key] = value;
+                } else if (Array.isArray(target[key])) {
+                    target[key].push(value);
+                } else {
+                    target[key] = [target[key], value];
+                }
+            };
+            
+            try {
+                metadata.description = metaContent('meta[name="description" i]');
+                metadata.keywords = (metaContent('meta[name="keywords" i]') || '')
+                    .split(',')
+                    .map(keyword => keyword.trim())
+                    .filter(Boolean);
+                metadata.lang = document.documentElement.lang ||
+                    metaContent('meta[http-equiv="content-language" i]');
+                metadata.canonical = document.querySelector('link[rel="canonical"]')?.href || null;
+                metadata.alternates = Array.from(document.querySelectorAll('link[rel="alternate"][hreflang]'))
+                    .map(link => ({ hreflang: link.getAttribute('hreflang'), href: link.href }));
+            } catch (e) {
+                metadata.errors.push({ source: 'meta', error: e.message });
+            }
+            
+            try {
+                document.querySelectorAll('meta[property^="og:"], meta[name^="og:"]').forEach(meta => {
+                    const key = (meta.getAttribute('property') || meta.getAttribute('name')).substring(3);
+                    addValue(metadata.openGraph, key, meta.getAttribute('content'));
+                });
+                document.querySelectorAll('meta[name^="twitter:"], meta[property^="twitter:"]').forEach(meta => {
+                    const key = (meta.getAttribute('name') || meta.getAttribute('property')).substring(8);
+                    addValue(metadata.twitter, key, meta.getAttribute('content'));
+                });
+            } catch (e) {
+                metadata.errors.push({ source: 'social', error: e.message });
+            }
+            
+            document.querySelectorAll('script[type="application/ld+json"]').forEach((script, index) => {
+                try {
+                    const parsed = JSON.parse(script.textContent);
+                    // Flatten @graph containers and top-level arrays into one list of entities
+                    const entities = Array.isArray(parsed) ? parsed : (parsed['@graph'] || [parsed]);
+                    metadata.jsonLd.push(...entities);
+                } catch (e) {
+                    metadata.errors.push({ source: 'jsonLd', block: index, error: e.message });
+                }
+            });
+            
+            // Value of a microdata or RDFa property by the rules of its element
+            const readPropertyValue = (el) => {
+                if (el.hasAttribute('content')) return el.getAttribute('content');
+                switch (el.tagName) {
+                    case 'A': case 'AREA': case 'LINK':
+                        return el.href;
+                    case 'IMG': case 'AUDIO': case 'VIDEO': case 'SOURCE': case 'EMBED': case 'IFRAME': case 'TRACK':
+                        return el.src;
+                    case 'OBJECT':
+                        return el.data;
+                    case 'DATA': case 'METER':
+                        return el.getAttribute('value');
+                    case 'TIME':
+                        return el.getAttribute('datetime') || el.textContent.trim();
+                    default:
+                        return el.textContent.replace(/\s+/g, ' ').trim();
+                }
+            };
+            
+            const readMicrodataItem = (item, depth) => {
+                const result = {
+                    type: item.getAttribute('itemtype'),
+                    id: item.getAttribute('itemid'),
+                    properties: {}
+                };
+                item.querySelectorAll('[itemprop]').forEach(el => {
+                    // Properties belong to the nearest enclosing item only
+                    if (el.parentElement?.closest('[itemscope]') !== item) return;
+                    const value = el.hasAttribute('itemscope') && depth < 5
+                        ? readMicrodataItem(el, depth + 1)
+                        : readPropertyValue(el);
+                    el.getAttribute('itemprop').split(/\s+/).filter(Boolean)
+                        .forEach(name => addValue(result.properties, name, value));
+                });
+                return result;
+            };
+            
+            const readRdfaItem = (item, depth) => {
+                const result = {
+                    type: item.getAttribute('typeof'),
+                    about: item.getAttribute('about') || item.getAttribute('resource'),
+                    properties: {}
+                };
+                item.querySelectorAll('[property]').forEach(el => {
+                    if (el.parentElement?.closest('[typeof]') !== item) return;
+                    const value = el.hasAttribute('typeof') && depth < 5
+                        ? readRdfaItem(el, depth + 1)
+                        : (el.getAttribute('resource') || readPropertyValue(el));
+                    el.getAttribute('property').split(/\s+/).filter(Boolean)
+                        .forEach(name => addValue(result.properties, name, value));
+                });
+                return result;
+            };
+            
+            try {
+                metadata.microdata = Array.from(document.querySelectorAll('[itemscope]:not([itemprop])'))
+                    .slice(0, 100)
+                    .map(item => readMicrodataItem(item, 1));
+            } catch (e) {
+                metadata.errors.push({ source: 'microdata', error: e.message });
+            }
+            
+            try {
+                metadata.rdfa = Array.from(document.querySelectorAll('[typeof]:not([property])'))
+                    .slice(0, 100)
+                    .map(item => readRdfaItem(item, 1));
+            } catch (e) {
+                metadata.errors.push({ source: 'rdfa', error: e.message });
+            }
+            
+            logToBackground('debug', 'Metadata extracted', {
+                jsonLd: metadata.jsonLd.length,
+                microdata: metadata.microdata.length,
+                rdfa: metadata.rdfa.length,
+                openGraph: Object.keys(metadata.openGraph).length,
+                twitter: Object.keys(metadata.twitter).length,
+                alternates: metadata.alternates.length,
+                errors: metadata.errors.length
+            });
+            return metadata;
+        };
+
         // Add timeout wrapper for entire extraction process
-        const EXTRACTION_TIMEOUT = 30000; // 30 seconds total timeout
+        const EXTRACTION_TIMEOUT = request.timeout || 30000; // 30 seconds total timeout by default
         
         setTimeout(() => {
             console.error('[CONTENT_EXTRACTOR] Total extraction timeout after', EXTRACTION_TIMEOUT, 'ms');
@@ -258,7 +905,17 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             // Detect infinite scroll before processing
             const hasInfiniteScroll = detectInfiniteScroll();
             
-            const mainContent = getMainContent();
+            // Null when the page has neither shadow roots nor frames
+            let composition = null;
+            try {
+                composition = composeDocument();
+            } catch (e) {
+                console.error('[CONTENT_EXTRACTOR] Error composing shadow roots and frames:', e);
+                logToBackground('warn', 'Composing shadow roots and frames failed', { error: e.message });
+            }
+            const contentRoot = composition?.root || document.body;
+            
+            const { element: mainContent, sources: mainSources, detection: mainContentDetection } = getMainContent(contentRoot);
             console.log('[CONTENT_EXTRACTOR] Main content element:', mainContent?.tagName, 'with', mainContent?.textContent?.length || 0, 'chars');
             
             const purifiedContent = removeNonEssentialElements(mainContent);
@@ -266,30 +923,55 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             // Get text content with size limits
             let rawPurifiedText = '';
             let readableText = '';
+            let markdownText = '';
             
             try {
                 // Limit text extraction to prevent hanging on huge pages
-                rawPurifiedText = document.body.innerText?.substring(0, 1000000).trim() || ''; // 1MB limit
-                readableText = purifiedContent.innerText?.substring(0, 500000).trim() || ''; // 500KB limit
+                const pageText = composition ? getBlockText(composition.root) : document.body.innerText;
+                rawPurifiedText = pageText?.substring(0, limits.rawText).trim() || ''; // 1MB by default
+                readableText = purifiedContent.innerText?.substring(0, limits.readableText).trim() || ''; // 500KB by default
             } catch (e) {
                 console.error('[CONTENT_EXTRACTOR] Error extracting text:', e);
                 rawPurifiedText = 'Error extracting text';
                 readableText = 'Error extracting text';
             }
             
+            try {
+                markdownText = convertToMarkdown(purifiedContent).substring(0, limits.markdown);
+            } catch (e) {
+                console.error('[CONTENT_EXTRACTOR] Error converting to Markdown:', e);
+                logToBackground('warn', 'Markdown conversion failed', { error: e.message });
+            }
+            
             // Limit HTML size
             let htmlContent = '';
             try {
-                htmlContent = document.documentElement.outerHTML.substring(0, 2000000); // 2MB limit
+                const pageHtml = composition
+                    ? serializeComposed(document.documentElement, limits.html)
+                    : document.documentElement.outerHTML;
+                htmlContent = pageHtml.substring(0, limits.html); // 2MB by default
             } catch (e) {
                 console.error('[CONTENT_EXTRACTOR] Error getting HTML:', e);
                 htmlContent = '<html><body>Error getting HTML</body></html>';
             }
             
+            const metadata = extractMetadata();
+            
+            let linkInventory = { links: [], total: 0, dropped: 0 };
+            try {
+                linkInventory = extractLinks(contentRoot, mainSources, limits.links);
+            } catch (e) {
+                console.error('[CONTENT_EXTRACTOR] Error extracting links:', e);
+                logToBackground('warn', 'Link extraction failed', { error: e.message });
+            }
+            
             const content = {
                 rawHtml: htmlContent,
                 rawPurifiedContent: rawPurifiedText,
                 readableContent: readableText,
+                markdownContent: markdownText,
+                metadata: metadata,
+                links: linkInventory.links,
                 title: document.title || 'No title',
                 url: window.location.href,
                 extractionTime: Date.now() - extractionStartTime,
@@ -297,7 +979,12 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
                 debug: {
                     pageHeight: document.body.scrollHeight,
                     viewportHeight: window.innerHeight,
-                    elementCount: document.querySelectorAll('*').length
+                    elementCount: document.querySelectorAll('*').length,
+                    mainContent: mainContentDetection,
+                    shadowRoots: composition?.shadowRoots || 0,
+                    frames: composition?.frames || [],
+                    linksTotal: linkInventory.total,
+                    linksDropped: linkInventory.dropped
                 }
             };
             
@@ -309,6 +996,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
                 htmlSize: htmlContent.length,
                 rawTextSize: rawPurifiedText.length,
                 readableTextSize: readableText.length,
+                markdownSize: markdownText.length,
                 hasInfiniteScroll: hasInfiniteScroll,
                 elementCount: document.querySelectorAll('*').length
             });
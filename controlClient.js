@@ -0,0 +1,240 @@
+// controlClient.js - Authenticated communication with the control server
+
+import Logger from './logger.js';
+
+// Credentials live in local storage, they must not sync to other browsers
+const AUTH_STORAGE_KEY = 'controlAuth';
+
+// Signed responses older than this (or from the future) are rejected
+const MAX_CLOCK_SKEW = 300000; // 5 minutes
+
+export const AUTH_MODES = ['none', 'bearer', 'hmac'];
+
+export default class ControlClient {
+    constructor() {
+        this.logger = new Logger('CONTROL');
+        this.encoder = new TextEncoder();
+        this.authConfig = null;
+        this.hmacKey = null;
+        this.seenNonces = new Map(); // nonce -> timestamp, for replay protection
+        this.signedRequests = new WeakMap(); // response -> request it answers, for HMAC verification
+
+        // Pick up credentials changed from the popup or a config URL
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'local' && changes[AUTH_STORAGE_KEY]) {
+                this.logger.info('Control server credentials changed');
+                this.authConfig = null;
+                this.hmacKey = null;
+            }
+        });
+    }
+
+    async getAuthConfig() {
+        if (!this.authConfig) {
+            const stored = await chrome.storage.local.get(AUTH_STORAGE_KEY);
+            this.authConfig = { mode: 'none', ...stored[AUTH_STORAGE_KEY] };
+        }
+        return this.authConfig;
+    }
+
+    async _getHmacKey(secret) {
+        if (!this.hmacKey) {
+            this.hmacKey = await crypto.subtle.importKey(
+                'raw',
+                this.encoder.encode(secret),
+                { name: 'HMAC', hash: 'SHA-256' },
+                false,
+                ['sign', 'verify']
+            );
+        }
+        return this.hmacKey;
+    }
+
+    /**
+     * fetch() with the configured credentials attached
+     * @param {string} url - Control server URL
+     * @param {Object} options - fetch options
+     * @returns {Promise<Response>}
+     */
+    async fetch(url, options = {}) {
+        const method = (options.method || 'GET').toUpperCase();
+        const authHeaders = await this.getAuthHeaders(method, url, options.body);
+
+        const response = await fetch(url, {
+            ...options,
+            headers: { ...options.headers, ...authHeaders }
+        });
+        if (authHeaders['X-Auth-Nonce']) {
+            const { pathname, search } = new URL(url);
+            this.signedRequests.set(response, { method, path: pathname + search, nonce: authHeaders['X-Auth-Nonce'] });
+        }
+        return response;
+    }
+
+    async getAuthHeaders(method, url, body) {
+        const config = await this.getAuthConfig();
+
+        switch (config.mode) {
+            case 'bearer':
+                if (!config.token) {
+                    this.logger.warn('Bearer auth configured without a token');
+                    return {};
+                }
+                return { 'Authorization': `Bearer ${config.token}` };
+
+            case 'hmac': {
+                if (!config.secret) {
+                    this.logger.warn('HMAC auth configured without a secret');
+                    return {};
+                }
+                const { pathname, search } = new URL(url);
+                const timestamp = Math.floor(Date.now() / 1000).toString();
+                const nonce = crypto.randomUUID();
+                const bodyHash = await this._sha256Hex(body);
+
+                // Method, path, timestamp, nonce and body hash are all covered
+                const canonical = [method, pathname + search, timestamp, nonce, bodyHash].join('\n');
+                const signature = await this._sign(config.secret, canonical);
+
+                const headers = {
+                    'X-Auth-Timestamp': timestamp,
+                    'X-Auth-Nonce': nonce,
+                    'X-Auth-Signature': signature
+                };
+                if (config.keyId) {
+                    headers['X-Auth-Key-Id'] = config.keyId;
+                }
+                return headers;
+            }
+
+            default:
+                return {};
+        }
+    }
+
+    /**
+     * Verify the signature of a response body in HMAC mode. The signature covers the
+     * request it answers (method, path and request nonce), so it cannot be replayed
+     * as the response to any other request.
+     * @param {Response} response - Server response, fetched through this client
+     * @param {string} bodyText - Response body already read as text
+     * @returns {Promise<boolean>} true if valid or no signing is configured
+     */
+    async verifyResponse(response, bodyText) {
+        const request = this.signedRequests.get(response);
+        const scope = request
+            ? [response.status, request.method, request.path, request.nonce].join('\n')
+            : null;
+        return this._verifySignature({
+            timestamp: response.headers.get('X-Auth-Timestamp'),
+            nonce: response.headers.get('X-Auth-Nonce'),
+            signature: response.headers.get('X-Auth-Signature')
+        }, scope, bodyText, response.url);
+    }
+
+    /**
+     * Request nonce a response answers, null if the request was not signed
+     * @param {Response} response - Server response, fetched through this client
+     * @returns {string|null}
+     */
+    getRequestNonce(response) {
+        return this.signedRequests.get(response)?.nonce || null;
+    }
+
+    /**
+     * Verify a message pushed over a job stream in HMAC mode. The signature covers the
+     * nonce of the request that opened the stream, so a message cannot be replayed to
+     * another worker or connection.
+     * @param {Object} message - { payload, timestamp, nonce, signature }
+     * @param {string} streamNonce - Nonce sent when the stream was opened
+     * @returns {Promise<boolean>} true if valid or no signing is configured
+     */
+    async verifyPushMessage(message, streamNonce) {
+        const scope = streamNonce ? ['push', streamNonce].join('\n') : null;
+        return this._verifySignature(message, scope, message.payload, 'job stream');
+    }
+
+    async _verifySignature({ timestamp, nonce, signature }, scope, bodyText, source) {
+        const config = await this.getAuthConfig();
+        if (config.mode !== 'hmac' || !config.secret) {
+            return true;
+        }
+
+        if (!timestamp || !nonce || !signature) {
+            this.logger.error('Unsigned message from control server', { source });
+            return false;
+        }
+
+        if (!scope) {
+            this.logger.error('Message answering an unsigned request cannot be verified', { source });
+            return false;
+        }
+
+        const skew = Math.abs(Date.now() - parseInt(timestamp) * 1000);
+        if (isNaN(skew) || skew > MAX_CLOCK_SKEW) {
+            this.logger.error('Signed message outside allowed clock skew', { source, skew });
+            return false;
+        }
+
+        this._pruneNonces();
+        if (this.seenNonces.has(nonce)) {
+            this.logger.error('Replayed message from control server', { source, nonce });
+            return false;
+        }
+
+        // The scope (HTTP status or "push", and the request answered) keeps signatures from being reused elsewhere
+        const bodyHash = await this._sha256Hex(bodyText);
+        const canonical = [scope, timestamp, nonce, bodyHash].join('\n');
+        const expected = await this._sign(config.secret, canonical);
+
+        if (!this._constantTimeEqual(expected, String(signature).toLowerCase())) {
+            this.logger.error('Invalid signature from control server', { source });
+            return false;
+        }
+
+        this.seenNonces.set(nonce, Date.now());
+        return true;
+    }
+
+    _pruneNonces() {
+        const cutoff = Date.now() - 2 * MAX_CLOCK_SKEW;
+        for (const [nonce, seenAt] of this.seenNonces) {
+            if (seenAt < cutoff) {
+                this.seenNonces.delete(nonce);
+            }
+        }
+    }
+
+    async _sign(secret, text) {
+        const key = await this._getHmacKey(secret);
+        const signature = await crypto.subtle.sign('HMAC', key, this.encoder.encode(text));
+        return this._toHex(signature);
+    }
+
+    async _sha256Hex(body) {
+        let bytes;
+        if (body === undefined || body === null) {
+            bytes = new Uint8Array(0);
+        } else if (typeof body === 'string') {
+            bytes = this.encoder.encode(body);
+        } else {
+            bytes = body; // Uint8Array or ArrayBuffer
+        }
+        return this._toHex(await crypto.subtle.digest('SHA-256', bytes));
+    }
+
+    _toHex(buffer) {
+        return Array.from(new Uint8Array(buffer))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    _constantTimeEqual(a, b) {
+        if (a.length !== b.length) return false;
+        let diff = 0;
+        for (let i = 0; i < a.length; i++) {
+            diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+        }
+        return diff === 0;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,170 @@
+// controlEndpoints.js - Ordered control servers with health checks, failover and failback
+
+import Logger from './logger.js';
+
+// Persisted so a restarted worker stays on the server it failed over to
+const ACTIVE_STORAGE_KEY = 'activeControlUrl';
+
+const HEALTH_CHECK_TIMEOUT = 5000;
+const HEALTH_CHECK_INTERVAL = 30000;
+
+// Healthy checks in a row before going back to a higher priority server
+const FAILBACK_SUCCESSES = 2;
+
+export default class ControlEndpoints {
+    /**
+     * @param {ControlClient} controlClient - Authenticated control server client
+     * @param {Function} getCircuitBreaker - Returns the circuit breaker of a control URL
+     */
+    constructor(controlClient, getCircuitBreaker) {
+        this.controlClient = controlClient;
+        this.getCircuitBreaker = getCircuitBreaker;
+        this.logger = new Logger('ENDPOINTS');
+        this.endpoints = [];  // Primary first
+        this.activeUrl = null;
+        this.health = new Map();  // url -> { healthy, checkedAt, consecutiveSuccesses, error }
+        this.evaluating = false;
+        this.intervalId = null;
+        this.onSwitch = null;  // Called with (newUrl, oldUrl, reason)
+    }
+
+    get isFailedOver() {
+        return this.endpoints.indexOf(this.activeUrl) > 0;
+    }
+
+    /**
+     * Configure the ordered list of control servers
+     * @param {string[]} urls - Primary first, then standbys
+     * @returns {Promise<string>} The active URL
+     */
+    async setEndpoints(urls) {
+        const endpoints = Array.from(new Set(urls.filter(Boolean).map(url => url.replace(/\/+$/, ''))));
+        this.endpoints = endpoints;
+
+        if (!this.activeUrl) {
+            const stored = await chrome.storage.local.get(ACTIVE_STORAGE_KEY);
+            this.activeUrl = stored[ACTIVE_STORAGE_KEY] || null;
+        }
+        if (!endpoints.includes(this.activeUrl)) {
+            this.activeUrl = endpoints[0] || null;
+        }
+        await chrome.storage.local.set({ [ACTIVE_STORAGE_KEY]: this.activeUrl });
+
+        this.logger.info('Control endpoints configured', {
+            endpoints,
+            activeUrl: this.activeUrl,
+            failedOver: this.isFailedOver
+        });
+
+        // Only standbys need watching
+        clearInterval(this.intervalId);
+        this.intervalId = endpoints.length > 1
+            ? setInterval(() => this.evaluate(), HEALTH_CHECK_INTERVAL)
+            : null;
+
+        return this.activeUrl;
+    }
+
+    /**
+     * Check whether a control server answers
+     * @param {string} url - Control server URL
+     * @returns {Promise<boolean>}
+     */
+    async checkHealth(url) {
+        const previous = this.health.get(url);
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), HEALTH_CHECK_TIMEOUT);
+
+        let healthy = false;
+        let error = null;
+        try {
+            const response = await this.controlClient.fetch(url + '/health', { signal: controller.signal });
+            // A server without /health still proves it is up by answering
+            healthy = response.ok || response.status === 404;
+            if (!healthy) {
+                error = `HTTP ${response.status}`;
+            }
+        } catch (fetchError) {
+            error = fetchError.name === 'AbortError' ? 'Health check timed out' : fetchError.message;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+
+        this.health.set(url, {
+            healthy,
+            checkedAt: Date.now(),
+            consecutiveSuccesses: healthy ? (previous?.consecutiveSuccesses || 0) + 1 : 0,
+            error
+        });
+
+        if (healthy !== previous?.healthy) {
+            this.logger.info(`Control server ${healthy ? 'healthy' : 'unhealthy'}`, { url, error });
+        }
+        return healthy;
+    }
+
+    // Fail over away from an unreachable server, or back to a recovered one
+    async evaluate() {
+        if (this.evaluating || this.endpoints.length < 2 || !this.activeUrl) return;
+        this.evaluating = true;
+
+        try {
+            const activeIndex = this.endpoints.indexOf(this.activeUrl);
+
+            if (this.getCircuitBreaker(this.activeUrl).isOpen) {
+                for (const url of this.endpoints) {
+                    if (url === this.activeUrl || this.getCircuitBreaker(url).isOpen) continue;
+                    if (await this.checkHealth(url)) {
+                        await this._switchTo(url, 'failover');
+                        return;
+                    }
+                }
+                this.logger.warn('No healthy standby control server to fail over to', {
+                    activeUrl: this.activeUrl,
+                    endpoints: this.endpoints
+                });
+                return;
+            }
+
+            // Prefer the highest priority server that has been healthy for a while
+            for (const url of this.endpoints.slice(0, activeIndex)) {
+                if (await this.checkHealth(url) &&
+                    this.health.get(url).consecutiveSuccesses >= FAILBACK_SUCCESSES) {
+                    this.getCircuitBreaker(url).recordSuccess();
+                    await this._switchTo(url, 'failback');
+                    return;
+                }
+            }
+        } catch (error) {
+            this.logger.error('Control endpoint evaluation failed', { error: error.message });
+        } finally {
+            this.evaluating = false;
+        }
+    }
+
+    async _switchTo(url, reason) {
+        const oldUrl = this.activeUrl;
+        this.activeUrl = url;
+        await chrome.storage.local.set({ [ACTIVE_STORAGE_KEY]: url });
+
+        this.logger.warn(`Switching control server (${reason})`, {
+            from: oldUrl,
+            to: url,
+            priority: this.endpoints.indexOf(url)
+        });
+
+        if (this.onSwitch) {
+            await this.onSwitch(url, oldUrl, reason);
+        }
+    }
+
+    getStatus() {
+        return this.endpoints.map((url, index) => ({
+            url,
+            priority: index,
+            active: url === this.activeUrl,
+            circuit: this.getCircuitBreaker(url).state,
+            ...this.health.get(url)
+        }));
+    }
+}
\ No newline at end of file
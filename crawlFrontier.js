@@ -0,0 +1,234 @@
+// crawlFrontier.js - URLs a crawl job still has to visit, persisted so a restarted worker can resume
+
+import Logger from './logger.js';
+
+const STORAGE_PREFIX = 'crawl_';
+
+// Frontiers of crawls no worker has continued for this long are dropped
+const FRONTIER_MAX_AGE = 24 * 60 * 60 * 1000;
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|msclkid|mc_cid|mc_eid|_ga|ref_src)$/i;
+
+// Links to files rather than pages
+const SKIPPED_EXTENSIONS = /\.(pdf|zip|gz|rar|7z|exe|dmg|msi|jpe?g|png|gif|webp|svg|ico|mp3|mp4|avi|mov|webm|css|js|json|xml|rss|woff2?|ttf)$/i;
+
+/**
+ * Canonical form of a link so the same page is only visited once
+ * @param {string} href - Link as found on the page
+ * @param {string} base - URL of the page it was found on
+ * @returns {string|null} Normalized absolute URL, null for non-web links
+ */
+export function normalizeUrl(href, base) {
+    let url;
+    try {
+        url = new URL(href, base);
+    } catch (e) {
+        return null;
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        return null;
+    }
+
+    url.hash = '';
+    url.hostname = url.hostname.toLowerCase();
+    const params = Array.from(url.searchParams.entries())
+        .filter(([name]) => !TRACKING_PARAMS.test(name))
+        .sort(([a], [b]) => a.localeCompare(b));
+    url.search = new URLSearchParams(params).toString();
+    return url.href;
+}
+
+function compilePattern(pattern) {
+    if (pattern.length > 2 && pattern.startsWith('/') && pattern.endsWith('/')) {
+        return new RegExp(pattern.slice(1, -1));
+    }
+    const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    return new RegExp(`^${escaped}$`);
+}
+
+const siteOf = (hostname) => hostname.replace(/^www\./, '');
+
+export default class CrawlFrontier {
+    /**
+     * @param {string} crawlId - Identifies the crawl across workers and restarts
+     * @param {string} seedUrl - First page, its site bounds the crawl
+     * @param {Object} spec - Validated crawl spec, see parseCrawlSpec
+     * @param {Object} saved - State persisted by a previous worker instance
+     */
+    constructor(crawlId, seedUrl, spec, saved = null) {
+        this.crawlId = crawlId;
+        this.seedUrl = normalizeUrl(seedUrl) || seedUrl;
+        this.spec = spec;
+        this.logger = new Logger('CRAWL');
+        this.site = siteOf(new URL(this.seedUrl).hostname);
+        this.include = spec.include.map(compilePattern);
+        this.exclude = spec.exclude.map(compilePattern);
+
+        this.queue = [{ url: this.seedUrl, depth: 0, parent: null }];  // Breadth first
+        this.seen = new Set([this.seedUrl]);
+        this.current = null;  // Page being processed, queued again on resume
+        this.pagesDone = 0;
+        this.failures = [];
+        this.startedAt = Date.now();
+
+        if (saved) {
+            this.queue = saved.queue;
+            this.seen = new Set(saved.seen);
+            this.pagesDone = saved.pagesDone;
+            this.failures = saved.failures;
+            this.startedAt = saved.startedAt;
+            if (saved.current) {
+                this.queue.unshift(saved.current);
+            }
+        }
+    }
+
+    static storageKey(crawlId) {
+        return STORAGE_PREFIX + crawlId;
+    }
+
+    /**
+     * Continue a crawl persisted by a previous worker instance, or start a new one
+     * @returns {Promise<CrawlFrontier>}
+     */
+    static async restore(crawlId, seedUrl, spec) {
+        const key = CrawlFrontier.storageKey(crawlId);
+        const stored = await chrome.storage.local.get(key);
+        const frontier = new CrawlFrontier(crawlId, seedUrl, spec, stored[key] || null);
+        if (stored[key]) {
+            frontier.logger.info('Resuming crawl', frontier.getStatus());
+        }
+        return frontier;
+    }
+
+    get pagesAttempted() {
+        return this.pagesDone + this.failures.length;
+    }
+
+    get isFinished() {
+        return this.queue.length === 0 || this.pagesAttempted >= this.spec.max_pages;
+    }
+
+    // Same site, allowed by the patterns and a page rather than a file
+    allows(url) {
+        const { hostname, pathname } = new URL(url);
+        const site = siteOf(hostname);
+        const sameSite = site === this.site || (this.spec.include_subdomains && site.endsWith('.' + this.site));
+        if (!sameSite || SKIPPED_EXTENSIONS.test(pathname)) {
+            return false;
+        }
+        if (this.include.length > 0 && !this.include.some(pattern => pattern.test(url))) {
+            return false;
+        }
+        return !this.exclude.some(pattern => pattern.test(url));
+    }
+
+    /**
+     * Queue the links found on a page
+     * @param {string[]} links - Hrefs found on the page
+     * @param {Object} page - Frontier entry of the page they were found on
+     * @returns {number} Links queued
+     */
+    addLinks(links, page) {
+        const depth = page.depth + 1;
+        if (depth > this.spec.max_depth) {
+            return 0;
+        }
+
+        let added = 0;
+        for (const href of links) {
+            const url = normalizeUrl(href, page.url);
+            if (!url || this.seen.has(url) || !this.allows(url)) continue;
+            this.seen.add(url);
+            this.queue.push({ url, depth, parent: page.url });
+            added++;
+        }
+        return added;
+    }
+
+    next() {
+        this.current = this.queue.shift() || null;
+        return this.current;
+    }
+
+    // Return the current page unvisited, e.g. when the crawl runs out of time
+    putBack() {
+        if (this.current) {
+            this.queue.unshift(this.current);
+            this.current = null;
+        }
+    }
+
+    markDone() {
+        this.pagesDone++;
+        this.current = null;
+    }
+
+    markFailed(error) {
+        this.failures.push({
+            url: this.current.url,
+            depth: this.current.depth,
+            error: error.message,
+            error_code: error.code || null
+        });
+        this.current = null;
+    }
+
+    async save() {
+        try {
+            await chrome.storage.local.set({
+                [CrawlFrontier.storageKey(this.crawlId)]: {
+                    queue: this.queue,
+                    seen: Array.from(this.seen),
+                    current: this.current,
+                    pagesDone: this.pagesDone,
+                    failures: this.failures,
+                    startedAt: this.startedAt,
+                    savedAt: Date.now()
+                }
+            });
+        } catch (error) {
+            this.logger.error('Failed to persist crawl frontier', { crawlId: this.crawlId, error: error.message });
+        }
+    }
+
+    // A finished crawl leaves nothing to resume
+    async remove() {
+        try {
+            await chrome.storage.local.remove(CrawlFrontier.storageKey(this.crawlId));
+        } catch (error) {
+            this.logger.error('Failed to remove crawl frontier', { crawlId: this.crawlId, error: error.message });
+        }
+    }
+
+    /**
+     * Drop frontiers left behind by workers that died mid-crawl and were never resumed
+     * @returns {Promise<string[]>} Crawl IDs removed
+     */
+    static async removeStale() {
+        const stored = await chrome.storage.local.get(null);
+        const cutoff = Date.now() - FRONTIER_MAX_AGE;
+        const staleKeys = Object.keys(stored).filter(key =>
+            key.startsWith(STORAGE_PREFIX) && (stored[key]?.savedAt || stored[key]?.startedAt || 0) < cutoff);
+        if (staleKeys.length > 0) {
+            await chrome.storage.local.remove(staleKeys);
+            new Logger('CRAWL').info('Removed stale crawl frontiers', { crawls: staleKeys });
+        }
+        return staleKeys.map(key => key.slice(STORAGE_PREFIX.length));
+    }
+
+    getStatus() {
+        return {
+            crawl_id: this.crawlId,
+            seed_url: this.seedUrl,
+            pages_done: this.pagesDone,
+            pages_failed: this.failures.length,
+            queued: this.queue.length,
+            seen: this.seen.size,
+            max_pages: this.spec.max_pages,
+            max_depth: this.spec.max_depth,
+            elapsed_ms: Date.now() - this.startedAt
+        };
+    }
+}
\ No newline at end of file
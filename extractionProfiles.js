@@ -0,0 +1,75 @@
+// extractionProfiles.js - Saved extraction schemas per domain, used when a job brings none
+
+import Logger from './logger.js';
+import { validateSchema } from './jobOptions.js';
+
+const STORAGE_KEY = 'extractionProfiles';
+
+export default class ExtractionProfiles {
+    constructor() {
+        this.logger = new Logger('PROFILES');
+        this.profiles = {};  // domain -> { schema, updatedAt }
+    }
+
+    async load() {
+        const stored = await chrome.storage.local.get(STORAGE_KEY);
+        this.profiles = stored[STORAGE_KEY] || {};
+        this.logger.debug('Extraction profiles loaded', { domains: Object.keys(this.profiles) });
+    }
+
+    /**
+     * Find the profile of a page, a profile for example.com also covers shop.example.com
+     * @param {string} url - Page URL
+     * @returns {Object|null} { domain, schema } of the most specific match
+     */
+    get(url) {
+        let hostname;
+        try {
+            hostname = new URL(url).hostname;
+        } catch (e) {
+            return null;
+        }
+
+        const domain = Object.keys(this.profiles)
+            .filter(candidate => hostname === candidate || hostname.endsWith('.' + candidate))
+            .sort((a, b) => b.length - a.length)[0];
+        return domain ? { domain, schema: this.profiles[domain].schema } : null;
+    }
+
+    /**
+     * Save the profile of a domain, replacing any previous one
+     * @param {string} domain - Hostname without scheme, e.g. "example.com"
+     * @param {Object} schema - Extraction schema, validated like the job option
+     */
+    async set(domain, schema) {
+        const normalizedDomain = String(domain || '').trim().toLowerCase().replace(/^www\./, '');
+        if (!normalizedDomain || /[/:\s]/.test(normalizedDomain)) {
+            throw new Error(`Invalid profile domain: ${domain}`);
+        }
+
+        this.profiles[normalizedDomain] = { schema: validateSchema(schema), updatedAt: Date.now() };
+        await chrome.storage.local.set({ [STORAGE_KEY]: this.profiles });
+        this.logger.info('Extraction profile saved', {
+            domain: normalizedDomain,
+            fields: Object.keys(schema)
+        });
+        return normalizedDomain;
+    }
+
+    async remove(domain) {
+        const normalizedDomain = String(domain || '').trim().toLowerCase().replace(/^www\./, '');
+        const existed = normalizedDomain in this.profiles;
+        delete this.profiles[normalizedDomain];
+        await chrome.storage.local.set({ [STORAGE_KEY]: this.profiles });
+        this.logger.info('Extraction profile removed', { domain: normalizedDomain, existed });
+        return existed;
+    }
+
+    list() {
+        return Object.entries(this.profiles).map(([domain, profile]) => ({
+            domain,
+            fields: Object.keys(profile.schema),
+            updatedAt: profile.updatedAt
+        }));
+    }
+}
\ No newline at end of file
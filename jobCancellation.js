@@ -0,0 +1,81 @@
+// jobCancellation.js - Cancellation of a running job across its processing stages
+
+export class JobCancelledError extends Error {
+    constructor(stage, reason, code = null) {
+        super(`Job cancelled during ${stage}: ${reason}`);
+        this.name = 'JobCancelledError';
+        this.stage = stage;
+        this.reason = reason;
+        this.code = code;
+    }
+}
+
+/**
+ * Reject as soon as the signal is aborted, whatever the promise does
+ * @param {Promise} promise - Work to wait for
+ * @param {AbortSignal} signal - Cancellation signal
+ * @returns {Promise}
+ */
+export function abortable(promise, signal) {
+    if (!signal) return promise;
+    if (signal.aborted) return Promise.reject(signal.reason);
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(signal.reason);
+        signal.addEventListener('abort', onAbort, { once: true });
+
+        promise.then(resolve, reject).finally(() => {
+            signal.removeEventListener('abort', onAbort);
+        });
+    });
+}
+
+/**
+ * Wait for ms milliseconds unless cancelled first
+ * @param {number} ms - Delay
+ * @param {AbortSignal} signal - Cancellation signal
+ * @returns {Promise}
+ */
+export function sleep(ms, signal) {
+    let timeoutId;
+    const delay = new Promise(resolve => {
+        timeoutId = setTimeout(resolve, ms);
+    });
+    return abortable(delay, signal).finally(() => clearTimeout(timeoutId));
+}
+
+export default class JobCancellation {
+    constructor() {
+        this.controller = new AbortController();
+        this.stage = 'queued';
+        this.onStageChange = null;
+    }
+
+    get signal() {
+        return this.controller.signal;
+    }
+
+    get isCancelled() {
+        return this.controller.signal.aborted;
+    }
+
+    // Record the stage the job is in, reported if it gets cancelled
+    setStage(stage, details = {}) {
+        this.throwIfCancelled();
+        this.stage = stage;
+        if (this.onStageChange) {
+            this.onStageChange(stage, details);
+        }
+    }
+
+    cancel(reason, code = null) {
+        if (this.isCancelled) return;
+        this.controller.abort(new JobCancelledError(this.stage, reason, code));
+    }
+
+    throwIfCancelled() {
+        if (this.isCancelled) {
+            throw this.controller.signal.reason;
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,138 @@
+// jobErrors.js - Classification of job failures and the retry policy for them
+
+import { JobCancelledError } from './jobCancellation.js';
+
+export const ERROR_CODES = {
+    DNS_FAILURE: 'dns_failure',
+    TLS_FAILURE: 'tls_failure',
+    CONNECTION_FAILURE: 'connection_failure',
+    HTTP_CLIENT_ERROR: 'http_4xx',
+    HTTP_SERVER_ERROR: 'http_5xx',
+    LOAD_TIMEOUT: 'load_timeout',
+    NETWORK_IDLE_TIMEOUT: 'network_idle_timeout',
+    ACTION_FAILURE: 'action_failure',
+    ACTION_TIMEOUT: 'action_timeout',
+    EXTRACTION_TIMEOUT: 'extraction_timeout',
+    EXTRACTION_FAILURE: 'extraction_failure',
+    SCREENSHOT_FAILURE: 'screenshot_failure',
+    SUBMIT_FAILURE: 'submit_failure',
+    INVALID_OPTIONS: 'invalid_options',
+    JOB_TIMEOUT: 'job_timeout',
+    CANCELLED: 'cancelled',
+    UNKNOWN: 'unknown'
+};
+
+// Failures likely to go away when the job is tried again
+const TRANSIENT_CODES = new Set([
+    ERROR_CODES.CONNECTION_FAILURE,
+    ERROR_CODES.HTTP_SERVER_ERROR,
+    ERROR_CODES.LOAD_TIMEOUT,
+    ERROR_CODES.NETWORK_IDLE_TIMEOUT,
+    ERROR_CODES.ACTION_TIMEOUT,
+    ERROR_CODES.EXTRACTION_TIMEOUT,
+    ERROR_CODES.EXTRACTION_FAILURE,
+    ERROR_CODES.SCREENSHOT_FAILURE
+]);
+
+// Client errors meaning "try again later" rather than "never"
+const TRANSIENT_HTTP_STATUSES = [408, 425, 429];
+
+// Local retries before a job is reported as failed: 5s, 10s, ... capped at one minute
+export const RETRY_POLICY = {
+    maxAttempts: 3,
+    baseDelay: 5000,
+    maxDelay: 60000
+};
+
+export class JobError extends Error {
+    /**
+     * @param {string} code - One of ERROR_CODES
+     * @param {string} message - Human readable description
+     * @param {Object} options - { stage, status, netError, step, transient }
+     */
+    constructor(code, message, { stage = null, status = null, netError = null, step = null, transient } = {}) {
+        super(message);
+        this.name = 'JobError';
+        this.code = code;
+        this.stage = stage;
+        this.status = status;
+        this.netError = netError;
+        this.step = step;  // Index of the failed page action
+        this.transient = transient ?? TRANSIENT_CODES.has(code);
+    }
+}
+
+/**
+ * Error for a failed main document request
+ * @param {string} netError - Chrome network error, e.g. "net::ERR_NAME_NOT_RESOLVED"
+ * @param {string} stage - Stage the failure was detected in
+ * @returns {JobError}
+ */
+export function fromNetError(netError, stage) {
+    let code = ERROR_CODES.CONNECTION_FAILURE;
+    if (/ERR_NAME_NOT_RESOLVED|ERR_NAME_RESOLUTION_FAILED/.test(netError)) {
+        code = ERROR_CODES.DNS_FAILURE;
+    } else if (/ERR_CERT_|ERR_SSL_/.test(netError)) {
+        code = ERROR_CODES.TLS_FAILURE;
+    }
+    return new JobError(code, `Page request failed: ${netError}`, { stage, netError });
+}
+
+/**
+ * Error for a main document answered with an HTTP error status
+ * @param {number} status - HTTP status code
+ * @param {string} stage - Stage the failure was detected in
+ * @returns {JobError}
+ */
+export function fromHttpStatus(status, stage) {
+    if (status >= 500) {
+        return new JobError(ERROR_CODES.HTTP_SERVER_ERROR, `Page responded with HTTP ${status}`, { stage, status });
+    }
+    return new JobError(ERROR_CODES.HTTP_CLIENT_ERROR, `Page responded with HTTP ${status}`, {
+        stage,
+        status,
+        transient: TRANSIENT_HTTP_STATUSES.includes(status)
+    });
+}
+
+/**
+ * Map any error thrown while processing a job to a JobError
+ * @param {Error} error - Error thrown by a stage
+ * @param {string} stage - Stage the job was in
+ * @returns {JobError}
+ */
+export function classifyError(error, stage) {
+    if (error instanceof JobError) {
+        error.stage = error.stage || stage;
+        return error;
+    }
+
+    if (error instanceof JobCancelledError) {
+        const code = error.code === ERROR_CODES.JOB_TIMEOUT ? ERROR_CODES.JOB_TIMEOUT : ERROR_CODES.CANCELLED;
+        return new JobError(code, error.message, { stage: error.stage });
+    }
+
+    const message = error?.message || String(error);
+    switch (stage) {
+        case 'page_actions':
+            return new JobError(ERROR_CODES.ACTION_FAILURE, message, { stage });
+        case 'extract_content':
+            return new JobError(ERROR_CODES.EXTRACTION_FAILURE, message, { stage });
+        case 'screenshot':
+            return new JobError(ERROR_CODES.SCREENSHOT_FAILURE, message, { stage });
+        case 'submit':
+            return new JobError(ERROR_CODES.SUBMIT_FAILURE, message, { stage, status: error?.status ?? null });
+        default:
+            return new JobError(ERROR_CODES.UNKNOWN, message, { stage });
+    }
+}
+
+/**
+ * Backoff before the next attempt, with jitter so workers do not retry in step
+ * @param {number} attempt - Attempt that just failed, starting at 1
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(attempt) {
+    const delay = Math.min(RETRY_POLICY.baseDelay * Math.pow(2, attempt - 1), RETRY_POLICY.maxDelay);
+    return delay + Math.floor(Math.random() * 1000);
+}
\ No newline at end of file
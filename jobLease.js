@@ -0,0 +1,173 @@
+// jobLease.js - Lease on a job handed out by the control server
+
+import Logger from './logger.js';
+
+// Used when the server hands out a job ID without a lease duration
+const DEFAULT_LEASE_SECONDS = 120;
+const MIN_HEARTBEAT_INTERVAL = 5000;
+
+// Server statuses meaning the job no longer belongs to this worker
+const LEASE_LOST_STATUSES = [404, 409, 410];
+
+export default class JobLease {
+    constructor(controlClient, controlUrl, jobId, leaseSeconds) {
+        this.controlClient = controlClient;
+        this.controlUrl = controlUrl;
+        this.jobId = jobId;
+        this.leaseSeconds = parseInt(leaseSeconds) || DEFAULT_LEASE_SECONDS;
+        this.expiresAt = Date.now() + this.leaseSeconds * 1000;
+        this.heartbeatId = null;
+        this.heartbeatCount = 0;
+        this.lost = false;
+        this.onLost = null;
+        this.logger = new Logger('LEASE');
+    }
+
+    // Heartbeat often enough that two can fail before the lease runs out
+    get heartbeatInterval() {
+        return Math.max(MIN_HEARTBEAT_INTERVAL, Math.floor(this.leaseSeconds * 1000 / 3));
+    }
+
+    /**
+     * Acknowledge receipt of the job
+     * @param {string} url - URL of the job
+     * @returns {Promise<boolean>} false if the server no longer assigns the job to us
+     */
+    async acknowledge(url) {
+        try {
+            const response = await this._post('/ack', { url });
+
+            if (LEASE_LOST_STATUSES.includes(response.status)) {
+                this.logger.warn(`Job ${this.jobId} rejected on acknowledgement`, {
+                    jobId: this.jobId,
+                    url,
+                    status: response.status
+                });
+                this._markLost(response.status);
+                return false;
+            }
+
+            if (!response.ok) {
+                this.logger.warn(`Acknowledgement of job ${this.jobId} failed with status ${response.status}`, {
+                    jobId: this.jobId,
+                    url
+                });
+                return true;
+            }
+
+            await this._updateExpiry(response);
+            this.logger.info(`Job ${this.jobId} acknowledged`, {
+                jobId: this.jobId,
+                url,
+                leaseSeconds: this.leaseSeconds
+            });
+        } catch (error) {
+            // The lease is still ours until it expires, keep working
+            this.logger.warn(`Failed to acknowledge job ${this.jobId}`, {
+                jobId: this.jobId,
+                url,
+                error: error.message
+            });
+        }
+        return true;
+    }
+
+    /**
+     * Start extending the lease periodically
+     * @param {Function} getDetails - Returns extra data sent with each heartbeat
+     */
+    startHeartbeat(getDetails = () => ({})) {
+        this.stopHeartbeat();
+        this.heartbeatId = setInterval(() => {
+            this.sendHeartbeat(getDetails());
+        }, this.heartbeatInterval);
+
+        this.logger.debug(`Heartbeat started for job ${this.jobId}`, {
+            interval: this.heartbeatInterval
+        });
+    }
+
+    stopHeartbeat() {
+        if (this.heartbeatId) {
+            clearInterval(this.heartbeatId);
+            this.heartbeatId = null;
+            this.logger.debug(`Heartbeat stopped for job ${this.jobId}`, {
+                heartbeats: this.heartbeatCount
+            });
+        }
+    }
+
+    async sendHeartbeat(details = {}) {
+        if (this.lost) return;
+
+        try {
+            const response = await this._post('/heartbeat', details);
+            this.heartbeatCount++;
+
+            if (LEASE_LOST_STATUSES.includes(response.status)) {
+                this.logger.warn(`Lease lost for job ${this.jobId}`, {
+                    jobId: this.jobId,
+                    status: response.status
+                });
+                this._markLost(response.status);
+                return;
+            }
+
+            if (!response.ok) {
+                this.logger.warn(`Heartbeat for job ${this.jobId} failed with status ${response.status}`, {
+                    jobId: this.jobId,
+                    expiresIn: this.expiresAt - Date.now()
+                });
+                return;
+            }
+
+            await this._updateExpiry(response);
+            this.logger.debug(`Heartbeat sent for job ${this.jobId}`, {
+                count: this.heartbeatCount,
+                expiresIn: this.expiresAt - Date.now()
+            });
+        } catch (error) {
+            this.logger.warn(`Heartbeat for job ${this.jobId} failed`, {
+                jobId: this.jobId,
+                error: error.message,
+                expiresIn: this.expiresAt - Date.now()
+            });
+        }
+    }
+
+    _markLost(status) {
+        this.lost = true;
+        this.stopHeartbeat();
+        if (this.onLost) {
+            this.onLost(status);
+        }
+    }
+
+    async _updateExpiry(response) {
+        let data = {};
+        try {
+            data = await response.json();
+        } catch (e) {
+            // Empty or non-JSON body, keep our own lease length
+        }
+
+        if (data.lease_seconds) {
+            this.leaseSeconds = parseInt(data.lease_seconds) || this.leaseSeconds;
+        }
+        this.expiresAt = data.lease_expires_at
+            ? new Date(data.lease_expires_at).getTime()
+            : Date.now() + this.leaseSeconds * 1000;
+    }
+
+    _post(path, data) {
+        return this.controlClient.fetch(this.controlUrl + path, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                job_id: this.jobId,
+                ...data,
+                timestamp: new Date().toISOString()
+            })
+        });
+    }
+}
\ No newline at end of file
@@ -0,0 +1,429 @@
+// jobOptions.js - Per-job options sent by the control server in the job payload
+
+// Content sections a job can ask for; title and URL are always included. debug carries the
+// extraction diagnostics: main content ranking, merged frames and shadow roots, link counts
+export const CONTENT_SECTIONS = ['rawHtml', 'rawPurifiedContent', 'readableContent', 'markdownContent', 'metadata', 'links', 'structured', 'debug', 'screenshot'];
+
+export const SCREENSHOT_FORMATS = ['png', 'jpeg'];
+
+// Page actions run before extraction and the fields each one requires
+export const PAGE_ACTIONS = {
+    click: ['selector'],
+    type: ['selector', 'text'],
+    select: ['selector', 'value'],
+    scroll: [],
+    hover: ['selector'],
+    wait_for_selector: ['selector'],
+    wait_for_text: ['text'],
+    wait: ['ms'],
+    press_key: ['key']
+};
+
+const MAX_ACTION_STEPS = 50;
+
+// Value transforms of extraction schema fields, applied in order
+export const SCHEMA_TRANSFORMS = ['trim', 'regex', 'number', 'absolute_url'];
+
+const SCHEMA_TARGETS = ['text', 'html', 'attribute'];
+const MAX_SCHEMA_DEPTH = 5;
+const MAX_SCHEMA_FIELDS = 200;
+
+export const DEFAULT_JOB_OPTIONS = {
+    page_load_timeout_ms: 30000,
+    network_idle_timeout_ms: 30000,
+    quiet_period_ms: 2000,
+    max_active_requests: 2,
+    extra_delay_ms: 2000,
+    extraction_timeout_ms: 30000,
+    actions: [],
+    action_timeout_ms: 10000,
+    schema: null,
+    sections: CONTENT_SECTIONS,
+    max_html_length: 2000000,
+    max_raw_text_length: 1000000,
+    max_readable_text_length: 500000,
+    max_markdown_length: 500000,
+    max_links: 1000,
+    screenshot: {
+        enabled: true,
+        format: 'png',
+        quality: 90,
+        full_page: true,
+        max_height: 20000
+    },
+    // Scrolling and "load more" clicks before extraction, a limit of 0 means none
+    expand: {
+        enabled: false,
+        max_rounds: 10,
+        max_items: 0,
+        max_height: 50000,
+        max_time_ms: 60000,
+        item_selector: null,
+        load_more: true,
+        load_more_selector: null,
+        round_wait_ms: 5000
+    },
+    // Pages after the first one that are loaded and appended to its text
+    pagination: {
+        enabled: false,
+        max_pages: 5,
+        next_selector: null
+    }
+};
+
+const integer = (min, max) => (value) => {
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < min || parsed > max) {
+        throw new Error(`must be an integer between ${min} and ${max}`);
+    }
+    return parsed;
+};
+
+const boolean = (value) => {
+    if (typeof value !== 'boolean') {
+        throw new Error('must be true or false');
+    }
+    return value;
+};
+
+const oneOf = (allowed) => (value) => {
+    if (!allowed.includes(value)) {
+        throw new Error(`must be one of ${allowed.join(', ')}`);
+    }
+    return value;
+};
+
+const text = (maxLength) => (value) => {
+    if (typeof value !== 'string' || value.length === 0 || value.length > maxLength) {
+        throw new Error(`must be a string of 1 to ${maxLength} characters`);
+    }
+    return value;
+};
+
+const listOf = (allowed) => (value) => {
+    if (!Array.isArray(value) || value.some(item => !allowed.includes(item))) {
+        throw new Error(`must be a list of ${allowed.join(', ')}`);
+    }
+    return Array.from(new Set(value));
+};
+
+// Fields a step may carry besides its required ones
+const ACTION_STEP_FIELDS = {
+    selector: 'string',
+    text: 'string',
+    value: 'string',
+    key: 'string',
+    ms: 'number',
+    x: 'number',
+    y: 'number',
+    to: 'string',
+    clear: 'boolean',
+    visible: 'boolean',
+    optional: 'boolean',
+    timeout_ms: 'number'
+};
+
+const actionScript = (value) => {
+    if (!Array.isArray(value) || value.length > MAX_ACTION_STEPS) {
+        throw new Error(`must be a list of at most ${MAX_ACTION_STEPS} steps`);
+    }
+    return value.map((step, index) => {
+        if (typeof step !== 'object' || step === null || !PAGE_ACTIONS[step.action]) {
+            throw new Error(`step ${index}: action must be one of ${Object.keys(PAGE_ACTIONS).join(', ')}`);
+        }
+        const { action, ...fields } = step;
+        for (const required of PAGE_ACTIONS[action]) {
+            if (fields[required] === undefined) {
+                throw new Error(`step ${index}: ${action} needs ${required}`);
+            }
+        }
+        for (const [field, fieldValue] of Object.entries(fields)) {
+            if (!ACTION_STEP_FIELDS[field]) {
+                throw new Error(`step ${index}: unknown field ${field}`);
+            }
+            if (typeof fieldValue !== ACTION_STEP_FIELDS[field]) {
+                throw new Error(`step ${index}: ${field} must be a ${ACTION_STEP_FIELDS[field]}`);
+            }
+        }
+        if (fields.ms !== undefined) integer(0, 60000)(fields.ms);
+        if (fields.timeout_ms !== undefined) integer(0, 120000)(fields.timeout_ms);
+        return { action, ...fields };
+    });
+};
+
+function validateTransform(transform, path) {
+    if (typeof transform === 'string') {
+        if (transform === 'regex' || !SCHEMA_TRANSFORMS.includes(transform)) {
+            throw new Error(`${path}: transform must be one of trim, number, absolute_url or { regex }`);
+        }
+        return transform;
+    }
+    if (typeof transform !== 'object' || transform === null || typeof transform.regex !== 'string') {
+        throw new Error(`${path}: transform must be one of trim, number, absolute_url or { regex }`);
+    }
+    try {
+        new RegExp(transform.regex, transform.flags || '');
+    } catch (error) {
+        throw new Error(`${path}: invalid regex, ${error.message}`);
+    }
+    const group = transform.group ?? 1;
+    if (!Number.isInteger(group) || group < 0) {
+        throw new Error(`${path}: regex group must be a non-negative integer`);
+    }
+    return { regex: transform.regex, flags: transform.flags || '', group };
+}
+
+function validateSchemaFields(fields, path, depth, counter) {
+    if (typeof fields !== 'object' || fields === null || Array.isArray(fields)) {
+        throw new Error(`${path || 'schema'}: must be an object of named fields`);
+    }
+    if (depth > MAX_SCHEMA_DEPTH) {
+        throw new Error(`${path || 'schema'}: nested deeper than ${MAX_SCHEMA_DEPTH} levels`);
+    }
+
+    const normalized = {};
+    for (const [name, spec] of Object.entries(fields)) {
+        const fieldPath = path ? `${path}.${name}` : name;
+        if (++counter.fields > MAX_SCHEMA_FIELDS) {
+            throw new Error(`more than ${MAX_SCHEMA_FIELDS} fields`);
+        }
+        // A plain string is the CSS selector of a text field
+        if (typeof spec === 'string') {
+            normalized[name] = { selector: spec, target: 'text', multiple: false, transforms: [] };
+            continue;
+        }
+        if (typeof spec !== 'object' || spec === null || Array.isArray(spec)) {
+            throw new Error(`${fieldPath}: must be a selector or a field object`);
+        }
+
+        const { selector, xpath, attribute, target, multiple = false, fields: nested, transforms = [], ...unknown } = spec;
+        const unknownKeys = Object.keys(unknown);
+        if (unknownKeys.length > 0) {
+            throw new Error(`${fieldPath}: unknown field ${unknownKeys[0]}`);
+        }
+        if (selector !== undefined && xpath !== undefined) {
+            throw new Error(`${fieldPath}: use either selector or xpath`);
+        }
+        if ((selector !== undefined && typeof selector !== 'string') || (xpath !== undefined && typeof xpath !== 'string')) {
+            throw new Error(`${fieldPath}: selector and xpath must be strings`);
+        }
+        // Only nested objects may use the element they are nested in
+        if (selector === undefined && xpath === undefined && nested === undefined) {
+            throw new Error(`${fieldPath}: needs a selector or xpath`);
+        }
+        if (typeof multiple !== 'boolean') {
+            throw new Error(`${fieldPath}: multiple must be true or false`);
+        }
+        if (attribute !== undefined && typeof attribute !== 'string') {
+            throw new Error(`${fieldPath}: attribute must be a string`);
+        }
+        const resolvedTarget = target ?? (attribute !== undefined ? 'attribute' : 'text');
+        if (!SCHEMA_TARGETS.includes(resolvedTarget)) {
+            throw new Error(`${fieldPath}: target must be one of ${SCHEMA_TARGETS.join(', ')}`);
+        }
+        if (resolvedTarget === 'attribute' && attribute === undefined) {
+            throw new Error(`${fieldPath}: attribute target needs an attribute`);
+        }
+        if (!Array.isArray(transforms)) {
+            throw new Error(`${fieldPath}: transforms must be a list`);
+        }
+
+        normalized[name] = {
+            ...(selector !== undefined && { selector }),
+            ...(xpath !== undefined && { xpath }),
+            ...(attribute !== undefined && { attribute }),
+            target: resolvedTarget,
+            multiple,
+            transforms: transforms.map((transform, index) => validateTransform(transform, `${fieldPath}.transforms[${index}]`))
+        };
+        if (nested !== undefined) {
+            normalized[name].fields = validateSchemaFields(nested, `${fieldPath}.fields`, depth + 1, counter);
+        }
+    }
+    return normalized;
+}
+
+/**
+ * Validate an extraction schema of named fields
+ * @param {Object} schema - { name: selector | { selector | xpath, attribute, target, multiple, fields, transforms } }
+ * @returns {Object} The schema with every field in its full form
+ */
+export function validateSchema(schema) {
+    return validateSchemaFields(schema, '', 1, { fields: 0 });
+}
+
+// Validator per option, the limits keep one job from hogging a worker
+const OPTION_VALIDATORS = {
+    page_load_timeout_ms: integer(1000, 120000),
+    network_idle_timeout_ms: integer(1000, 120000),
+    quiet_period_ms: integer(0, 30000),
+    max_active_requests: integer(0, 50),
+    extra_delay_ms: integer(0, 60000),
+    extraction_timeout_ms: integer(1000, 120000),
+    actions: actionScript,
+    action_timeout_ms: integer(100, 120000),
+    schema: validateSchema,
+    sections: listOf(CONTENT_SECTIONS),
+    max_html_length: integer(0, 20000000),
+    max_raw_text_length: integer(0, 10000000),
+    max_readable_text_length: integer(0, 10000000),
+    max_markdown_length: integer(0, 10000000),
+    max_links: integer(0, 10000)
+};
+
+const SCREENSHOT_VALIDATORS = {
+    enabled: boolean,
+    format: oneOf(SCREENSHOT_FORMATS),
+    quality: integer(1, 100),
+    full_page: boolean,
+    max_height: integer(100, 100000)
+};
+
+const EXPAND_VALIDATORS = {
+    enabled: boolean,
+    max_rounds: integer(1, 200),
+    max_items: integer(0, 100000),
+    max_height: integer(0, 1000000),
+    max_time_ms: integer(1000, 300000),
+    item_selector: text(500),
+    load_more: boolean,
+    load_more_selector: text(500),
+    round_wait_ms: integer(100, 30000)
+};
+
+const PAGINATION_VALIDATORS = {
+    enabled: boolean,
+    max_pages: integer(1, 50),
+    next_selector: text(500)
+};
+
+// Options holding an object of their own
+const OPTION_GROUPS = {
+    screenshot: SCREENSHOT_VALIDATORS,
+    expand: EXPAND_VALIDATORS,
+    pagination: PAGINATION_VALIDATORS
+};
+
+function validateGroup(input, validators, prefix, target, errors) {
+    for (const [key, value] of Object.entries(input)) {
+        const validate = validators[key];
+        if (!validate) {
+            errors.push(`${prefix}${key}: unknown option`);
+            continue;
+        }
+        try {
+            target[key] = validate(value);
+        } catch (error) {
+            errors.push(`${prefix}${key}: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Merge job options over the defaults
+ * @param {Object} rawOptions - "options" object of the job payload
+ * @param {boolean} captureScreenshot - Legacy capture_screenshot flag of the payload
+ * @returns {Object} { options, errors } with errors listing every invalid option
+ */
+export function parseJobOptions(rawOptions, captureScreenshot) {
+    const options = {
+        ...DEFAULT_JOB_OPTIONS,
+        screenshot: { ...DEFAULT_JOB_OPTIONS.screenshot },
+        expand: { ...DEFAULT_JOB_OPTIONS.expand },
+        pagination: { ...DEFAULT_JOB_OPTIONS.pagination }
+    };
+    const errors = [];
+
+    if (typeof captureScreenshot === 'boolean') {
+        options.screenshot.enabled = captureScreenshot;
+    }
+
+    if (rawOptions === undefined || rawOptions === null) {
+        return { options, errors };
+    }
+    if (typeof rawOptions !== 'object' || Array.isArray(rawOptions)) {
+        return { options, errors: ['options: must be an object'] };
+    }
+
+    const rest = { ...rawOptions };
+    for (const [group, validators] of Object.entries(OPTION_GROUPS)) {
+        const groupOptions = rest[group];
+        delete rest[group];
+        if (groupOptions === undefined) continue;
+
+        if (typeof groupOptions === 'object' && groupOptions !== null && !Array.isArray(groupOptions)) {
+            validateGroup(groupOptions, validators, `${group}.`, options[group], errors);
+        } else {
+            errors.push(`${group}: must be an object`);
+        }
+    }
+    validateGroup(rest, OPTION_VALIDATORS, '', options, errors);
+
+    // Leaving the section out is the same as turning the screenshot off
+    if (!options.sections.includes('screenshot')) {
+        options.screenshot.enabled = false;
+    }
+
+    return { options, errors };
+}
+
+// Crawl jobs start at the job URL and follow links within its site
+export const DEFAULT_CRAWL_SPEC = {
+    include: [],
+    exclude: [],
+    max_depth: 2,
+    max_pages: 50,
+    max_time_ms: 1800000,
+    delay_ms: 1000,
+    include_subdomains: false
+};
+
+// URL patterns are globs with * or regular expressions between slashes
+const patternList = (value) => {
+    if (!Array.isArray(value) || value.length > 100) {
+        throw new Error('must be a list of at most 100 patterns');
+    }
+    return value.map(pattern => {
+        if (typeof pattern !== 'string' || pattern.length === 0) {
+            throw new Error('patterns must be non-empty strings');
+        }
+        if (pattern.length > 2 && pattern.startsWith('/') && pattern.endsWith('/')) {
+            try {
+                new RegExp(pattern.slice(1, -1));
+            } catch (error) {
+                throw new Error(`invalid regular expression ${pattern}`);
+            }
+        }
+        return pattern;
+    });
+};
+
+const CRAWL_VALIDATORS = {
+    include: patternList,
+    exclude: patternList,
+    max_depth: integer(0, 10),
+    max_pages: integer(1, 1000),
+    max_time_ms: integer(60000, 7200000),
+    delay_ms: integer(0, 60000),
+    include_subdomains: boolean
+};
+
+/**
+ * Merge the crawl section of a crawl job over the defaults
+ * @param {Object} rawCrawl - "crawl" object of the job payload
+ * @returns {Object} { crawl, errors } with errors prefixed by "crawl."
+ */
+export function parseCrawlSpec(rawCrawl) {
+    const crawl = { ...DEFAULT_CRAWL_SPEC };
+    const errors = [];
+
+    if (rawCrawl === undefined || rawCrawl === null) {
+        return { crawl, errors };
+    }
+    if (typeof rawCrawl !== 'object' || Array.isArray(rawCrawl)) {
+        return { crawl, errors: ['crawl: must be an object'] };
+    }
+
+    validateGroup(rawCrawl, CRAWL_VALIDATORS, 'crawl.', crawl, errors);
+    return { crawl, errors };
+}
\ No newline at end of file
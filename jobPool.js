@@ -0,0 +1,110 @@
+// jobPool.js - Bounded pool of jobs running concurrently in separate tabs
+
+import Logger from './logger.js';
+
+// Hard upper bound so a bad setting cannot open dozens of tabs
+export const MAX_POOL_SIZE = 10;
+
+export default class JobPool {
+    constructor(size = 1) {
+        this.logger = new Logger('POOL');
+        this.size = JobPool.normalizeSize(size);
+        this.activeJobs = new Map();  // jobKey -> { url, startTime, promise }
+        this.slotWaiters = [];
+    }
+
+    /**
+     * Clamp a configured pool size to a sane integer
+     * @param {number|string} size - Requested size
+     * @returns {number}
+     */
+    static normalizeSize(size) {
+        const parsed = parseInt(size);
+        if (isNaN(parsed) || parsed < 1) return 1;
+        return Math.min(parsed, MAX_POOL_SIZE);
+    }
+
+    get activeCount() {
+        return this.activeJobs.size;
+    }
+
+    setSize(size) {
+        const newSize = JobPool.normalizeSize(size);
+        if (newSize === this.size) return;
+
+        this.logger.info('Pool size changed', {
+            from: this.size,
+            to: newSize,
+            activeCount: this.activeCount
+        });
+        this.size = newSize;
+        this.wakeWaiters();
+    }
+
+    hasFreeSlot() {
+        return this.activeJobs.size < this.size;
+    }
+
+    // Resolves on the next slot change (job finished, resize or wake);
+    // callers re-check hasFreeSlot() afterwards
+    waitForSlot() {
+        if (this.hasFreeSlot()) return Promise.resolve();
+        return new Promise(resolve => this.slotWaiters.push(resolve));
+    }
+
+    wakeWaiters() {
+        const waiters = this.slotWaiters;
+        this.slotWaiters = [];
+        waiters.forEach(resolve => resolve());
+    }
+
+    /**
+     * Start a job without waiting for it to finish
+     * @param {string} jobKey - Unique key of the job
+     * @param {Object} info - Descriptive data kept while the job runs
+     * @param {Function} fn - Async function doing the work
+     * @returns {Promise} Settles when the job finishes
+     */
+    run(jobKey, info, fn) {
+        const job = { ...info, startTime: Date.now() };
+        this.activeJobs.set(jobKey, job);
+
+        this.logger.info('Job started', {
+            jobKey,
+            url: info.url,
+            activeCount: this.activeCount,
+            size: this.size
+        });
+
+        job.promise = (async () => {
+            try {
+                return await fn();
+            } finally {
+                this.activeJobs.delete(jobKey);
+                this.logger.info('Job finished', {
+                    jobKey,
+                    url: info.url,
+                    duration: Date.now() - job.startTime,
+                    activeCount: this.activeCount
+                });
+                this.wakeWaiters();
+            }
+        })();
+
+        return job.promise;
+    }
+
+    // Wait until every running job has settled
+    async drain() {
+        const promises = Array.from(this.activeJobs.values()).map(job => job.promise);
+        await Promise.allSettled(promises);
+    }
+
+    getActiveJobs() {
+        return Array.from(this.activeJobs.entries()).map(([jobKey, job]) => ({
+            jobKey,
+            url: job.url,
+            startTime: job.startTime
+        }));
+    }
+}
\ No newline at end of file
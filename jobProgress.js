@@ -0,0 +1,116 @@
+// jobProgress.js - Stage progress of a job reported to the control server
+
+import Logger from './logger.js';
+
+// Control servers that answered 404, progress is not sent to them again
+const unsupportedServers = new Set();
+
+export default class JobProgress {
+    constructor(controlClient, controlUrl, { jobId, url, processId, attempt = 1 }) {
+        this.controlClient = controlClient;
+        this.controlUrl = controlUrl;
+        this.jobId = jobId;
+        this.url = url;
+        this.processId = processId;
+        this.attempt = attempt;
+        this.jobStartTime = Date.now();
+        this.stage = null;
+        this.stageStartTime = null;
+        this.stages = [];  // Completed stages with durations, sent with the final event
+        this.sendQueue = Promise.resolve();  // Keeps events in order
+        this.logger = new Logger('PROGRESS');
+    }
+
+    /**
+     * Close the current stage and start the next one
+     * @param {string} stage - Name of the stage entered
+     * @param {Object} details - Extra data about the transition, e.g. how the page load ended
+     */
+    enterStage(stage, details = {}) {
+        const previous = this._closeStage();
+        this.stage = stage;
+        this.stageStartTime = Date.now();
+
+        this._send({
+            event: 'stage_started',
+            stage,
+            stage_started_at: new Date(this.stageStartTime).toISOString(),
+            previous_stage: previous,
+            details
+        });
+    }
+
+    /**
+     * Report the end of the job
+     * @param {string} outcome - "completed", "queued" or "failed"
+     * @param {Object} details - Extra data, e.g. the error
+     * @returns {Promise} Settles once every event has been sent
+     */
+    finish(outcome, details = {}) {
+        const failedStage = this.stage;
+        const previous = this._closeStage();
+        this.stage = null;
+
+        this._send({
+            event: `job_${outcome}`,
+            stage: failedStage,
+            previous_stage: previous,
+            stages: this.stages,
+            details
+        });
+        return this.sendQueue;
+    }
+
+    _closeStage() {
+        if (!this.stage) return null;
+
+        const completed = {
+            name: this.stage,
+            started_at: new Date(this.stageStartTime).toISOString(),
+            duration_ms: Date.now() - this.stageStartTime
+        };
+        this.stages.push(completed);
+        return completed;
+    }
+
+    _send(event) {
+        const body = JSON.stringify({
+            job_id: this.jobId,
+            url: this.url,
+            process_id: this.processId,
+            attempt: this.attempt,
+            ...event,
+            job_started_at: new Date(this.jobStartTime).toISOString(),
+            elapsed_ms: Date.now() - this.jobStartTime,
+            timestamp: new Date().toISOString()
+        });
+
+        // Progress is informational, failures never affect the job
+        this.sendQueue = this.sendQueue.then(async () => {
+            if (unsupportedServers.has(this.controlUrl)) return;
+
+            try {
+                const response = await this.controlClient.fetch(this.controlUrl + '/progress', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body
+                });
+                if (response.status === 404) {
+                    this.logger.info('Control server does not accept progress events', { controlUrl: this.controlUrl });
+                    unsupportedServers.add(this.controlUrl);
+                } else if (!response.ok) {
+                    this.logger.debug(`Progress event rejected with status ${response.status}`, {
+                        jobId: this.jobId,
+                        event: event.event
+                    });
+                }
+            } catch (error) {
+                this.logger.debug('Failed to send progress event', {
+                    jobId: this.jobId,
+                    event: event.event,
+                    error: error.message
+                });
+            }
+        });
+    }
+}
\ No newline at end of file
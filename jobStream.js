@@ -0,0 +1,381 @@
+// jobStream.js - Push delivery of jobs over WebSocket or Server-Sent Events
+
+import Logger from './logger.js';
+
+export const PUSH_TRANSPORTS = ['websocket', 'sse'];
+
+// Every way of receiving jobs, HTTP polling included
+export const JOB_TRANSPORTS = ['poll', ...PUSH_TRANSPORTS];
+
+// Reconnect backoff: 1s, 2s, 4s, ... capped at one minute, plus jitter
+const BASE_RECONNECT_DELAY = 1000;
+const MAX_RECONNECT_DELAY = 60000;
+
+// Consecutive failed connections before HTTP polling takes over
+const FAILURES_BEFORE_FALLBACK = 3;
+
+// Keeps the service worker and the socket alive between jobs
+const KEEPALIVE_INTERVAL = 20000;
+
+// The server pings regularly, silence longer than this means a dead connection
+const STALE_CONNECTION_TIMEOUT = 90000;
+
+export default class JobStream {
+    /**
+     * @param {ControlClient} controlClient - Authenticated control server client
+     * @param {Object} handlers - onJob(data), onJobsAvailable(), onCommands(commands), onConnected(), onFallback(), getFreeSlots()
+     */
+    constructor(controlClient, handlers) {
+        this.controlClient = controlClient;
+        this.handlers = handlers;
+        this.logger = new Logger('STREAM');
+        this.controlUrl = null;
+        this.transport = null;
+        this.socket = null;
+        this.sseController = null;
+        this.connected = false;
+        this.connecting = false;
+        this.failures = 0;
+        this.fallbackActive = false;
+        this.reconnectTimeoutId = null;
+        this.keepaliveId = null;
+        this.lastMessageAt = null;
+        this.streamNonce = null;  // Nonce of the request that opened the stream, signed into pushed messages
+    }
+
+    get isConnected() {
+        return this.connected;
+    }
+
+    get isActive() {
+        return this.transport !== null;
+    }
+
+    // Connecting failed often enough that HTTP polling has taken over
+    get isFallback() {
+        return this.isActive && this.fallbackActive;
+    }
+
+    start(controlUrl, transport) {
+        if (this.isActive && this.controlUrl === controlUrl && this.transport === transport) {
+            this.checkLiveness();
+            return;
+        }
+
+        this.stop();
+        this.controlUrl = controlUrl;
+        this.transport = transport;
+        this.failures = 0;
+        this.fallbackActive = false;
+        this.logger.info('Starting job stream', { controlUrl, transport });
+        this._connect();
+    }
+
+    stop() {
+        if (!this.isActive) return;
+
+        this.logger.info('Stopping job stream', { transport: this.transport });
+        this.transport = null;
+        clearTimeout(this.reconnectTimeoutId);
+        this.reconnectTimeoutId = null;
+        this._closeConnection();
+    }
+
+    // Called from the polling alarm: revive a stream the service worker lost
+    checkLiveness() {
+        if (!this.isActive || this.connecting || this.reconnectTimeoutId) return;
+
+        if (!this.connected) {
+            this.logger.warn('Job stream down at liveness check, reconnecting', {
+                transport: this.transport,
+                failures: this.failures
+            });
+            this._connect();
+            return;
+        }
+
+        const silence = Date.now() - this.lastMessageAt;
+        if (silence > STALE_CONNECTION_TIMEOUT) {
+            this.logger.warn('Job stream silent for too long, reconnecting', {
+                transport: this.transport,
+                silence
+            });
+            this._closeConnection();
+            this._connect();
+        }
+    }
+
+    /**
+     * Tell the server how many more jobs this worker can take
+     * @param {number} slots - Free slots in the job pool
+     */
+    async sendCredit(slots) {
+        if (!this.connected) return;
+
+        try {
+            if (this.transport === 'websocket') {
+                this.socket.send(JSON.stringify({ type: 'credit', slots }));
+            } else {
+                await this.controlClient.fetch(this.controlUrl + '/jobs/credit', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ slots })
+                });
+            }
+            this.logger.debug('Sent job credit', { slots });
+        } catch (error) {
+            this.logger.warn('Failed to send job credit', { slots, error: error.message });
+        }
+    }
+
+    async _connect() {
+        this.connecting = true;
+        try {
+            if (this.transport === 'websocket') {
+                await this._connectWebSocket();
+            } else {
+                await this._connectSse();
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') return; // Connection replaced or stopped
+            this.connecting = false;
+            this._handleDisconnect(error.message);
+        }
+    }
+
+    _connectWebSocket() {
+        const streamUrl = this.controlUrl + '/jobs/ws';
+        const socket = new WebSocket(streamUrl.replace(/^http/, 'ws'));
+        this.socket = socket;
+
+        socket.onopen = async () => {
+            // WebSocket handshakes cannot carry headers, authenticate in the first message
+            const auth = await this.controlClient.getAuthHeaders('GET', streamUrl, '');
+            this.streamNonce = auth['X-Auth-Nonce'] || null;
+            socket.send(JSON.stringify({
+                type: 'hello',
+                auth,
+                slots: this.handlers.getFreeSlots()
+            }));
+            this._handleConnected();
+        };
+        socket.onmessage = (event) => this._handleMessage(event.data);
+        socket.onerror = () => {
+            this.logger.warn('WebSocket error', { url: streamUrl });
+        };
+        socket.onclose = (event) => {
+            if (this.socket === socket) {
+                this.socket = null;
+                this._handleDisconnect(`WebSocket closed (code ${event.code})`);
+            }
+        };
+    }
+
+    // EventSource is not available in service workers, read the stream by hand
+    async _connectSse() {
+        const controller = new AbortController();
+        this.sseController = controller;
+
+        const slots = this.handlers.getFreeSlots();
+        const response = await this.controlClient.fetch(`${this.controlUrl}/jobs/stream?slots=${slots}`, {
+            headers: { 'Accept': 'text/event-stream' },
+            signal: controller.signal
+        });
+        if (!response.ok) {
+            throw new Error(`Job stream responded with ${response.status}`);
+        }
+        this.streamNonce = this.controlClient.getRequestNonce(response);
+
+        this._handleConnected();
+
+        const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+        let buffer = '';
+        try {
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) break;
+
+                buffer += value;
+                const events = buffer.split(/\r?\n\r?\n/);
+                buffer = events.pop();
+                events.forEach(event => this._handleSseEvent(event));
+            }
+        } catch (error) {
+            if (controller.signal.aborted) return; // Closed by us
+            throw error;
+        }
+
+        if (this.sseController === controller) {
+            this.sseController = null;
+            this._handleDisconnect('Event stream ended');
+        }
+    }
+
+    _handleSseEvent(event) {
+        let eventName = null;
+        const dataLines = [];
+
+        for (const line of event.split(/\r?\n/)) {
+            if (line.startsWith('event:')) {
+                eventName = line.substring(6).trim();
+            } else if (line.startsWith('data:')) {
+                dataLines.push(line.substring(5).replace(/^ /, ''));
+            }
+        }
+
+        if (dataLines.length === 0) {
+            this.lastMessageAt = Date.now(); // Comment line used as keepalive
+            return;
+        }
+
+        let data = dataLines.join('\n');
+        if (eventName) {
+            // Event name doubles as the message type
+            try {
+                const parsed = JSON.parse(data);
+                data = JSON.stringify({ type: eventName, ...parsed });
+            } catch (e) {
+                data = JSON.stringify({ type: eventName, payload: data });
+            }
+        }
+        this._handleMessage(data);
+    }
+
+    async _handleMessage(text) {
+        this.lastMessageAt = Date.now();
+
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            this.logger.warn('Ignoring malformed job stream message', { preview: String(text).substring(0, 100) });
+            return;
+        }
+
+        switch (message.type) {
+            case 'job': {
+                if (!(await this.controlClient.verifyPushMessage(message, this.streamNonce))) {
+                    this.logger.error('Dropping job with invalid signature from job stream');
+                    return;
+                }
+                let data;
+                try {
+                    data = typeof message.payload === 'string' ? JSON.parse(message.payload) : message.payload;
+                } catch (error) {
+                    this.logger.warn('Ignoring job with malformed payload from job stream', { error: error.message });
+                    return;
+                }
+                this.logger.info('Job received from stream', { url: data?.url, jobId: data?.job_id });
+                if (data?.url) {
+                    this.handlers.onJob(data, this.controlUrl);
+                }
+                break;
+            }
+
+            case 'command': {
+                // Commands control the worker, they need the same verification as jobs
+                if (!(await this.controlClient.verifyPushMessage(message, this.streamNonce))) {
+                    this.logger.error('Dropping command with invalid signature from job stream');
+                    return;
+                }
+                let commands;
+                try {
+                    commands = typeof message.payload === 'string' ? JSON.parse(message.payload) : message.payload;
+                } catch (error) {
+                    this.logger.warn('Ignoring command with malformed payload from job stream', { error: error.message });
+                    return;
+                }
+                this.handlers.onCommands(Array.isArray(commands) ? commands : [commands], this.controlUrl);
+                break;
+            }
+
+            case 'jobs_available':
+                this.handlers.onJobsAvailable(this.controlUrl);
+                break;
+
+            case 'ping':
+                break;
+
+            default:
+                this.logger.debug('Unhandled job stream message', { type: message.type });
+        }
+    }
+
+    _handleConnected() {
+        this.connecting = false;
+        this.connected = true;
+        this.lastMessageAt = Date.now();
+        this.logger.info('Job stream connected', {
+            transport: this.transport,
+            previousFailures: this.failures
+        });
+        this.failures = 0;
+        this.fallbackActive = false;
+
+        clearInterval(this.keepaliveId);
+        this.keepaliveId = setInterval(() => {
+            if (this.transport === 'websocket' && this.socket?.readyState === WebSocket.OPEN) {
+                this.socket.send(JSON.stringify({ type: 'ping' }));
+            }
+            this.checkLiveness();
+        }, KEEPALIVE_INTERVAL);
+
+        this.handlers.onConnected(this.controlUrl);
+    }
+
+    _handleDisconnect(reason) {
+        const wasConnected = this.connected;
+        this.connected = false;
+        this.connecting = false;
+        clearInterval(this.keepaliveId);
+        this.keepaliveId = null;
+
+        if (!this.isActive) return; // Stopped on purpose
+
+        this.failures++;
+        const delay = Math.min(BASE_RECONNECT_DELAY * Math.pow(2, this.failures - 1), MAX_RECONNECT_DELAY)
+            + Math.floor(Math.random() * 1000);
+
+        this.logger.warn('Job stream disconnected', {
+            transport: this.transport,
+            reason,
+            wasConnected,
+            failures: this.failures,
+            reconnectIn: delay
+        });
+
+        if (this.failures >= FAILURES_BEFORE_FALLBACK && !this.fallbackActive) {
+            this.fallbackActive = true;
+            this.logger.warn('Falling back to HTTP polling while the job stream is down', {
+                failures: this.failures
+            });
+            this.handlers.onFallback(this.controlUrl);
+        }
+
+        clearTimeout(this.reconnectTimeoutId);
+        this.reconnectTimeoutId = setTimeout(() => {
+            this.reconnectTimeoutId = null;
+            if (this.isActive) {
+                this._connect();
+            }
+        }, delay);
+    }
+
+    _closeConnection() {
+        this.connected = false;
+        this.connecting = false;
+        clearInterval(this.keepaliveId);
+        this.keepaliveId = null;
+
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.close();
+        }
+        if (this.sseController) {
+            const controller = this.sseController;
+            this.sseController = null;
+            controller.abort();
+        }
+    }
+}
\ No newline at end of file
@@ -1,3 +1,6 @@
+// Control server the worker currently talks to, shared by every logger
+let activeControlUrl = null;
+
 export default class Logger {
     constructor(prefix = '') {
         this.prefix = prefix;
@@ -28,6 +31,24 @@ export default class Logger {
         }
     }
     
+    static setActiveControlUrl(url) {
+        activeControlUrl = url;
+    }
+
+    // Persisted ID identifying this browser across service worker restarts
+    async getInstanceId() {
+        await this._loadOrPersistInstanceId();
+        return this.instanceId;
+    }
+
+    async getContainerName() {
+        if (!this._containerParsed) {
+            await this._parseContainerFromUrl();
+            this._containerParsed = true;
+        }
+        return this.containerName;
+    }
+    
     async _parseContainerFromUrl() {
         try {
             // First check if container was stored from config URL
@@ -162,7 +183,8 @@ export default class Logger {
                 prefix: this.prefix,
                 message,
                 data,
-                location
+                location,
+                controlUrl: activeControlUrl
             };
 
             const { debugLogs = [] } = await chrome.storage.local.get('debugLogs');
@@ -241,6 +263,7 @@ export default class Logger {
                 _data: data ? JSON.stringify(data) : null,
                 _instance_id: this.instanceId,
                 _container: this.containerName || 'unknown',
+                _control_url: activeControlUrl || 'none',
                 _extension_version: manifest.version,
                 _extension_name: manifest.name
             };
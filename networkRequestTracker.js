@@ -4,12 +4,16 @@ export default class NetworkRequestTracker {
     constructor() {
         this.activeRequests = new Map();  // tabId -> Map of requestId -> request
         this.targetUrls = new Map();      // tabId -> target URL
+        this.mainDocuments = new Map();   // tabId -> { url, statusCode, error } of the last main frame request
         this.logger = new Logger('NetworkTracker');
         this.setupListeners();
     }
 
     setTargetUrl(tabId, url) {
         this.targetUrls.set(tabId, new URL(url).origin);
+        // Drop requests left over from a previous job in the same tab
+        this.activeRequests.delete(tabId);
+        this.mainDocuments.delete(tabId);
         this.logger.debug(`Set target URL for tab ${tabId}`, { targetUrl: url });
     }
 
@@ -39,12 +43,24 @@ export default class NetworkRequestTracker {
             (details) => this.handleRequest('error', details),
             { urls: ['<all_urls>'] }
         );
+
+        // Tabs of concurrent jobs come and go, never keep their bookkeeping
+        chrome.tabs.onRemoved.addListener((tabId) => {
+            this.mainDocuments.delete(tabId);
+            if (this.targetUrls.has(tabId) || this.activeRequests.has(tabId)) {
+                this.cleanup(tabId);
+            }
+        });
     }
 
     handleRequest(type, details) {
         const { tabId, requestId } = details;
         if (tabId < 0) return;
 
+        if (details.type === 'main_frame' && this.targetUrls.has(tabId)) {
+            this.trackMainDocument(type, details);
+        }
+
         const targetOrigin = this.targetUrls.get(tabId);
         if (!this.isRelevantRequest(details, targetOrigin)) {
             return;
@@ -74,19 +90,52 @@ export default class NetworkRequestTracker {
         }
     }
 
+    // The main document may redirect to another origin, follow it regardless
+    trackMainDocument(type, details) {
+        const { tabId, url, statusCode, error } = details;
+
+        if (type === 'start') {
+            this.mainDocuments.set(tabId, { url, statusCode: null, error: null });
+        } else if (type === 'complete') {
+            this.mainDocuments.set(tabId, { url, statusCode, error: null });
+        } else {
+            this.mainDocuments.set(tabId, { url, statusCode: null, error });
+        }
+
+        if (type !== 'start') {
+            this.logger.debug(`Main document request ${type}`, { tabId, url, statusCode, error });
+        }
+    }
+
+    /**
+     * Outcome of the page's main document request
+     * @param {number} tabId - Tab of the job
+     * @returns {Object|null} { url, statusCode, error }, null if not seen
+     */
+    getMainDocument(tabId) {
+        return this.mainDocuments.get(tabId) || null;
+    }
+
     async waitForNetworkIdle(tabId, options = {}) {
         const {
             timeout = 45000,
             quietPeriod = 500,
             checkInterval = 100,
-            maxActiveRequests = 2
+            maxActiveRequests = 2,
+            signal = null
         } = options;
         
 
+        if (signal?.aborted) {
+            throw signal.reason;
+        }
+
         if (!this.targetUrls.has(tabId)) {
             throw new Error('No target URL set for tab');
         }
 
+        const targetUrl = this.targetUrls.get(tabId);
+
         this.logger.debug(`Starting network idle wait for tab ${tabId}`, { 
             timeout,
             quietPeriod,
@@ -137,7 +186,7 @@ export default class NetworkRequestTracker {
                             activeRequests: currentCount,
                             totalTime: Date.now() - startTime
                         });
-                        clearInterval(intervalId);
+                        stopChecking();
                         this.cleanup(tabId);
                         resolve();
                     }
@@ -146,7 +195,7 @@ export default class NetworkRequestTracker {
                 }
 
                 if (Date.now() - startTime >= timeout) {
-                    clearInterval(intervalId);
+                    stopChecking();
                     this.cleanup(tabId);
                     
                     // Log detailed timeout info
@@ -159,11 +208,29 @@ export default class NetworkRequestTracker {
                         totalWaitTime: Date.now() - startTime
                     });
                     
-                    reject(new Error('Network idle timeout'));
+                    const timeoutError = new Error('Network idle timeout');
+                    timeoutError.name = 'TimeoutError';
+                    reject(timeoutError);
                 }
             };
 
+            // Job was cancelled, stop polling the request map right away
+            const onAbort = () => {
+                stopChecking();
+                this.logger.debug(`Network idle wait cancelled`, {
+                    tabId,
+                    elapsedTime: Date.now() - startTime
+                });
+                reject(signal.reason);
+            };
+
+            const stopChecking = () => {
+                clearInterval(intervalId);
+                signal?.removeEventListener('abort', onAbort);
+            };
+
             const intervalId = setInterval(checkQuietPeriod, checkInterval);
+            signal?.addEventListener('abort', onAbort, { once: true });
         });
     }
 
@@ -0,0 +1,194 @@
+// Page action runner, executes one scripted step at a time for the background
+
+function logAction(level, message, data = {}) {
+    chrome.runtime.sendMessage({
+        type: 'content_log',
+        level: level,
+        message: message,
+        data: data
+    });
+}
+
+class ActionTimeoutError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ActionTimeoutError';
+    }
+}
+
+const actionSleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Poll until the check returns something truthy, pages render asynchronously
+async function waitUntil(check, timeout, description) {
+    const deadline = Date.now() + timeout;
+    while (true) {
+        const result = check();
+        if (result) {
+            return result;
+        }
+        if (Date.now() >= deadline) {
+            throw new ActionTimeoutError(`Timed out after ${timeout}ms waiting for ${description}`);
+        }
+        await actionSleep(100);
+    }
+}
+
+function isVisible(element) {
+    const rect = element.getBoundingClientRect();
+    const style = window.getComputedStyle(element);
+    return rect.width > 0 && rect.height > 0 &&
+        style.visibility !== 'hidden' && style.display !== 'none';
+}
+
+function findElement(selector, timeout, visible = false) {
+    return waitUntil(() => {
+        const element = document.querySelector(selector);
+        return element && (!visible || isVisible(element)) ? element : null;
+    }, timeout, `${visible ? 'visible ' : ''}element ${selector}`);
+}
+
+// Frameworks like React track the value through the native setter
+function setNativeValue(element, value) {
+    const prototype = Object.getPrototypeOf(element);
+    const setter = Object.getOwnPropertyDescriptor(prototype, 'value')?.set;
+    if (setter) {
+        setter.call(element, value);
+    } else {
+        element.value = value;
+    }
+}
+
+function dispatchMouse(element, types) {
+    const rect = element.getBoundingClientRect();
+    const init = {
+        bubbles: true,
+        cancelable: true,
+        view: window,
+        clientX: rect.left + rect.width / 2,
+        clientY: rect.top + rect.height / 2
+    };
+    types.forEach(type => element.dispatchEvent(new MouseEvent(type, init)));
+}
+
+const ACTION_HANDLERS = {
+    async click(step, timeout) {
+        const element = await findElement(step.selector, timeout, true);
+        element.scrollIntoView({ block: 'center' });
+        dispatchMouse(element, ['mouseover', 'mousedown', 'mouseup']);
+        element.click();
+        return { tag: element.tagName.toLowerCase() };
+    },
+
+    async type(step, timeout) {
+        const element = await findElement(step.selector, timeout, true);
+        element.focus();
+        if (element.isContentEditable) {
+            element.textContent = step.clear === false ? element.textContent + step.text : step.text;
+        } else {
+            setNativeValue(element, step.clear === false ? element.value + step.text : step.text);
+        }
+        element.dispatchEvent(new Event('input', { bubbles: true }));
+        element.dispatchEvent(new Event('change', { bubbles: true }));
+        return { length: step.text.length };
+    },
+
+    async select(step, timeout) {
+        const element = await findElement(step.selector, timeout);
+        if (element.tagName !== 'SELECT') {
+            throw new Error(`${step.selector} is not a select element`);
+        }
+        // Match the option value first, then its visible label
+        const option = Array.from(element.options).find(opt => opt.value === step.value) ||
+            Array.from(element.options).find(opt => opt.textContent.trim() === step.value);
+        if (!option) {
+            throw new Error(`No option "${step.value}" in ${step.selector}`);
+        }
+        element.value = option.value;
+        element.dispatchEvent(new Event('input', { bubbles: true }));
+        element.dispatchEvent(new Event('change', { bubbles: true }));
+        return { value: option.value };
+    },
+
+    async scroll(step, timeout) {
+        if (step.selector) {
+            const element = await findElement(step.selector, timeout);
+            element.scrollIntoView({ block: 'center' });
+        } else if (step.to === 'bottom') {
+            window.scrollTo(step.x || 0, document.documentElement.scrollHeight);
+        } else if (step.to === 'top') {
+            window.scrollTo(step.x || 0, 0);
+        } else {
+            window.scrollBy(step.x || 0, step.y ?? window.innerHeight);
+        }
+        return { scrollY: window.scrollY };
+    },
+
+    async hover(step, timeout) {
+        const element = await findElement(step.selector, timeout, true);
+        element.scrollIntoView({ block: 'center' });
+        dispatchMouse(element, ['pointerover', 'pointerenter', 'mouseover', 'mouseenter', 'mousemove']);
+        return { tag: element.tagName.toLowerCase() };
+    },
+
+    async wait_for_selector(step, timeout) {
+        const element = await findElement(step.selector, timeout, step.visible === true);
+        return { tag: element.tagName.toLowerCase() };
+    },
+
+    async wait_for_text(step, timeout) {
+        await waitUntil(() => {
+            const root = step.selector ? document.querySelector(step.selector) : document.body;
+            return root?.innerText?.includes(step.text);
+        }, timeout, `text "${step.text}"`);
+        return {};
+    },
+
+    async wait(step) {
+        await actionSleep(step.ms);
+        return {};
+    },
+
+    async press_key(step, timeout) {
+        const target = step.selector
+            ? await findElement(step.selector, timeout)
+            : document.activeElement || document.body;
+        target.focus?.();
+        const init = { key: step.key, code: step.key, bubbles: true, cancelable: true };
+        const proceed = target.dispatchEvent(new KeyboardEvent('keydown', init));
+        target.dispatchEvent(new KeyboardEvent('keypress', init));
+        target.dispatchEvent(new KeyboardEvent('keyup', init));
+        // Synthetic events do not trigger default actions, submit forms like a real Enter would
+        if (proceed && step.key === 'Enter' && target.form) {
+            target.form.requestSubmit();
+        }
+        return { target: target.tagName?.toLowerCase() };
+    }
+};
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.type !== 'run_page_action') {
+        return;
+    }
+
+    const { step, index, timeout } = request;
+    const startTime = Date.now();
+    logAction('info', `Running page action ${index}: ${step.action}`, { step, url: window.location.href });
+
+    ACTION_HANDLERS[step.action](step, step.timeout_ms ?? timeout)
+        .then(result => {
+            const duration = Date.now() - startTime;
+            logAction('info', `Page action ${index} done`, { action: step.action, duration, result });
+            sendResponse({ ok: true, result, duration });
+        })
+        .catch(error => {
+            const duration = Date.now() - startTime;
+            logAction('warn', `Page action ${index} failed`, { action: step.action, duration, error: error.message });
+            sendResponse({
+                ok: false,
+                error: error.message,
+                timedOut: error instanceof ActionTimeoutError,
+                duration
+            });
+        });
+    return true; // Keep the message channel open for async response
+});
\ No newline at end of file
@@ -0,0 +1,72 @@
+// Page expansion, scrolls and clicks "load more" one round at a time for the background
+
+const LOAD_MORE_TEXT = /^\s*(load|show|view|see|display)\s+(more|all)\b|^\s*more\s+(results|items|posts|articles|products)\b|^\s*mehr\s+(laden|anzeigen)\b|^\s*(voir|afficher)\s+plus\b|^\s*ver\s+m[aá]s\b/i;
+
+function isClickable(element) {
+    const rect = element.getBoundingClientRect();
+    const style = window.getComputedStyle(element);
+    return rect.width > 0 && rect.height > 0 &&
+        style.visibility !== 'hidden' && style.display !== 'none' &&
+        !element.disabled && element.getAttribute('aria-disabled') !== 'true';
+}
+
+// The job's selector wins, otherwise buttons and links labelled like "Load more"
+function findLoadMoreButton(selector) {
+    const candidates = selector
+        ? Array.from(document.querySelectorAll(selector))
+        : Array.from(document.querySelectorAll('button, a, [role="button"], input[type="button"], input[type="submit"]'))
+            .filter(element => {
+                const label = element.innerText || element.value || element.getAttribute('aria-label') || '';
+                return label.length < 60 && LOAD_MORE_TEXT.test(label);
+            });
+    return candidates.find(isClickable) || null;
+}
+
+function measurePage(itemSelector) {
+    const scrollHeight = document.documentElement.scrollHeight;
+    return {
+        height: scrollHeight,
+        items: itemSelector ? document.querySelectorAll(itemSelector).length : null,
+        atBottom: window.scrollY + window.innerHeight >= scrollHeight - 2
+    };
+}
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.type !== 'expand_page') {
+        return;
+    }
+
+    const { command, options } = request;
+    try {
+        if (command === 'measure') {
+            sendResponse({ ok: true, ...measurePage(options.item_selector) });
+            return;
+        }
+
+        if (command === 'finish') {
+            // Screenshots start at the top again
+            window.scrollTo(0, 0);
+            sendResponse({ ok: true, ...measurePage(options.item_selector) });
+            return;
+        }
+
+        // advance: one "load more" click if there is a button, otherwise one viewport of scrolling
+        let action = 'scroll';
+        const button = options.load_more ? findLoadMoreButton(options.load_more_selector) : null;
+        if (button) {
+            button.scrollIntoView({ block: 'center' });
+            button.click();
+            action = 'load_more';
+        } else if (measurePage(null).atBottom) {
+            // Nudge pages that load on the scroll event even when already at the bottom
+            window.scrollBy(0, -1);
+            window.scrollTo(0, document.documentElement.scrollHeight);
+            action = 'none';
+        } else {
+            window.scrollBy(0, Math.round(window.innerHeight * 0.9));
+        }
+        sendResponse({ ok: true, action, ...measurePage(options.item_selector) });
+    } catch (error) {
+        sendResponse({ ok: false, error: error.message });
+    }
+});
\ No newline at end of file
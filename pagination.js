@@ -0,0 +1,81 @@
+// Pagination and link discovery, finds the pages a job continues with
+
+const NEXT_TEXT = /^\s*(next|next page|older posts|weiter|nächste seite|suivant|page suivante|siguiente|successivo|volgende)\s*[›»→>]*\s*$|^\s*[›»→>]{1,2}\s*$/i;
+
+const NEXT_SELECTORS = [
+    'a[rel~="next"]',
+    '.pagination .next a', '.pagination a.next', '.pager .next a', '.pager-next a',
+    'a.next', 'a.next-page', 'a.nextpostslink', 'li.next a', '[class*="pagination"] [class*="next"] a',
+    'a[aria-label="Next"]', 'a[aria-label="Next page"]'
+];
+
+function toPageUrl(href) {
+    if (!href) return null;
+    try {
+        const url = new URL(href, document.baseURI);
+        return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Job selector first, then <link rel=next>, known pager markup and finally link text
+function findNextPage(selector) {
+    if (selector) {
+        const element = document.querySelector(selector);
+        const link = element?.closest('a') || element?.querySelector('a') || element;
+        return { url: toPageUrl(link?.getAttribute('href')), method: 'selector' };
+    }
+
+    const linkTag = document.querySelector('link[rel~="next"]');
+    if (linkTag) {
+        return { url: toPageUrl(linkTag.getAttribute('href')), method: 'link_rel' };
+    }
+
+    for (const nextSelector of NEXT_SELECTORS) {
+        const anchor = document.querySelector(nextSelector);
+        const url = toPageUrl(anchor?.getAttribute('href'));
+        if (url) {
+            return { url, method: nextSelector };
+        }
+    }
+
+    const anchor = Array.from(document.querySelectorAll('a[href]')).find(candidate => {
+        const label = candidate.innerText || candidate.getAttribute('aria-label') || candidate.title || '';
+        return label.length < 40 && NEXT_TEXT.test(label);
+    });
+    return { url: toPageUrl(anchor?.getAttribute('href')), method: anchor ? 'link_text' : null };
+}
+
+// Every followable link of the page for crawl jobs, filtering is up to the background
+function discoverLinks(limit) {
+    const links = new Set();
+    for (const anchor of document.querySelectorAll('a[href], area[href]')) {
+        if (links.size >= limit) break;
+        if (/\bnofollow\b/i.test(anchor.getAttribute('rel') || '')) continue;
+        const url = toPageUrl(anchor.getAttribute('href'));
+        if (url) links.add(url);
+    }
+    return Array.from(links);
+}
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.type === 'discover_links') {
+        sendResponse({ ok: true, links: discoverLinks(request.limit || 5000) });
+        return;
+    }
+    if (request.type !== 'find_next_page') {
+        return;
+    }
+
+    try {
+        const next = findNextPage(request.selector);
+        // A link back to this page would loop forever
+        if (next.url && next.url.split('#')[0] === window.location.href.split('#')[0]) {
+            next.url = null;
+        }
+        sendResponse({ ok: true, ...next });
+    } catch (error) {
+        sendResponse({ ok: false, error: error.message });
+    }
+});
\ No newline at end of file
@@ -1,17 +1,57 @@
 // popup.js
 document.addEventListener('DOMContentLoaded', async () => {
     // Load saved settings from sync storage
-    const settings = await chrome.storage.sync.get(['controlUrl', 'pollInterval']);
+    const settings = await chrome.storage.sync.get(['controlUrl', 'standbyUrls', 'pollInterval', 'concurrency', 'prefetchSize', 'uploadMode', 'jobTransport']);
     if (settings.controlUrl) {
         document.getElementById('control-url').value = settings.controlUrl;
     }
+    if (settings.standbyUrls) {
+        document.getElementById('standby-urls').value = settings.standbyUrls.join('\n');
+    }
     if (settings.pollInterval) {
         document.getElementById('poll-interval').value = settings.pollInterval;
     }
+    if (settings.concurrency) {
+        document.getElementById('concurrency').value = settings.concurrency;
+    }
+    if (settings.prefetchSize !== undefined) {
+        document.getElementById('prefetch-size').value = settings.prefetchSize;
+    }
+    if (settings.uploadMode) {
+        document.getElementById('upload-mode').value = settings.uploadMode;
+    }
+    if (settings.jobTransport) {
+        document.getElementById('job-transport').value = settings.jobTransport;
+    }
+
+    // Credentials are kept in local storage only
+    const { controlAuth } = await chrome.storage.local.get('controlAuth');
+    if (controlAuth) {
+        document.getElementById('auth-mode').value = controlAuth.mode || 'none';
+        document.getElementById('auth-token').value = controlAuth.token || '';
+        document.getElementById('auth-key-id').value = controlAuth.keyId || '';
+        document.getElementById('auth-secret').value = controlAuth.secret || '';
+    }
 
     // Update status
     chrome.runtime.sendMessage({ type: "get_status" }, response => {
         document.getElementById('status').textContent = `Status: ${response.status}`;
+        document.getElementById('outbox').textContent = `Outbox: ${response.outboxDepth || 0} pending result(s), ` +
+            `${response.prefetchedJobs || 0} prefetched job(s)`;
+
+        document.getElementById('active-endpoint').textContent = response.activeControlUrl
+            ? `Active server: ${response.activeControlUrl} (${response.failedOver ? 'standby' : 'primary'})`
+            : '';
+
+        const outage = response.serverOutage;
+        const serverHealth = document.getElementById('server-health');
+        if (outage) {
+            const retryIn = Math.max(0, Math.round((outage.nextAttemptAt - Date.now()) / 1000));
+            serverHealth.textContent = `Server unreachable since ${new Date(outage.unreachableSince).toLocaleString()} ` +
+                `(${outage.consecutiveFailures} failed attempts, next retry in ${retryIn}s): ${outage.lastError}`;
+        } else {
+            serverHealth.textContent = '';
+        }
     });
 
     // Debug functionality
@@ -75,7 +115,18 @@ document.addEventListener('DOMContentLoaded', async () => {
     document.getElementById('save-settings').addEventListener('click', async () => {
         try {
             const controlUrl = document.getElementById('control-url').value;
+            const standbyUrls = readStandbyUrls();
             const pollInterval = parseInt(document.getElementById('poll-interval').value);
+            const concurrency = parseInt(document.getElementById('concurrency').value);
+            const prefetchSize = parseInt(document.getElementById('prefetch-size').value);
+            const uploadMode = document.getElementById('upload-mode').value;
+            const jobTransport = document.getElementById('job-transport').value;
+            const controlAuth = {
+                mode: document.getElementById('auth-mode').value,
+                token: document.getElementById('auth-token').value.trim(),
+                keyId: document.getElementById('auth-key-id').value.trim(),
+                secret: document.getElementById('auth-secret').value
+            };
 
             // Validate inputs
             if (!controlUrl) {
@@ -90,15 +141,47 @@ document.addEventListener('DOMContentLoaded', async () => {
                 return;
             }
 
+            const invalidStandby = standbyUrls.find(url => !isValidUrl(url));
+            if (invalidStandby) {
+                document.getElementById('status').textContent = `Error: Invalid standby URL: ${invalidStandby}`;
+                return;
+            }
+
             if (isNaN(pollInterval) || pollInterval < 1) {
                 document.getElementById('status').textContent = 'Error: Poll interval must be at least 1 second';
                 return;
             }
 
+            if (isNaN(concurrency) || concurrency < 1 || concurrency > 10) {
+                document.getElementById('status').textContent = 'Error: Concurrent jobs must be between 1 and 10';
+                return;
+            }
+
+            if (isNaN(prefetchSize) || prefetchSize < 0 || prefetchSize > 10) {
+                document.getElementById('status').textContent = 'Error: Prefetched jobs must be between 0 and 10';
+                return;
+            }
+
+            if (controlAuth.mode === 'bearer' && !controlAuth.token) {
+                document.getElementById('status').textContent = 'Error: Bearer auth needs a token';
+                return;
+            }
+
+            if (controlAuth.mode === 'hmac' && !controlAuth.secret) {
+                document.getElementById('status').textContent = 'Error: HMAC auth needs a secret';
+                return;
+            }
+
             await chrome.storage.sync.set({
                 controlUrl,
-                pollInterval
+                standbyUrls,
+                pollInterval,
+                concurrency,
+                prefetchSize,
+                uploadMode,
+                jobTransport
             });
+            await chrome.storage.local.set({ controlAuth });
 
             document.getElementById('status').textContent = 'Settings saved successfully';
         } catch (error) {
@@ -109,7 +192,11 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Start polling
     document.getElementById('start-polling').addEventListener('click', async () => {
         const controlUrl = document.getElementById('control-url').value;
+        const standbyUrls = readStandbyUrls().filter(isValidUrl);
         const pollInterval = parseInt(document.getElementById('poll-interval').value);
+        const concurrency = parseInt(document.getElementById('concurrency').value) || 1;
+        const prefetchSize = parseInt(document.getElementById('prefetch-size').value) || 0;
+        const jobTransport = document.getElementById('job-transport').value;
 
         if (!controlUrl) {
             document.getElementById('status').textContent = 'Error: Please enter a control server URL';
@@ -124,13 +211,21 @@ document.addEventListener('DOMContentLoaded', async () => {
         // Save settings before starting
         await chrome.storage.sync.set({
             controlUrl,
-            pollInterval
+            standbyUrls,
+            pollInterval,
+            concurrency,
+            prefetchSize,
+            jobTransport
         });
 
         chrome.runtime.sendMessage({ 
             type: "start_polling",
             controlUrl,
-            pollInterval
+            standbyUrls,
+            pollInterval,
+            concurrency,
+            prefetchSize,
+            jobTransport
         }, response => {
             if (chrome.runtime.lastError) {
                 document.getElementById('status').textContent = `Error: ${chrome.runtime.lastError.message}`;
@@ -163,8 +258,18 @@ document.addEventListener('DOMContentLoaded', async () => {
 
         try {
             await chrome.storage.sync.clear();
+            await chrome.storage.local.remove('controlAuth');
             document.getElementById('control-url').value = '';
+            document.getElementById('standby-urls').value = '';
             document.getElementById('poll-interval').value = '30';
+            document.getElementById('concurrency').value = '1';
+            document.getElementById('prefetch-size').value = '1';
+            document.getElementById('upload-mode').value = 'auto';
+            document.getElementById('job-transport').value = 'poll';
+            document.getElementById('auth-mode').value = 'none';
+            document.getElementById('auth-token').value = '';
+            document.getElementById('auth-key-id').value = '';
+            document.getElementById('auth-secret').value = '';
             document.getElementById('status').textContent = 'Status: Settings cleared';
         } catch (error) {
             document.getElementById('status').textContent = `Error clearing settings: ${error.message}`;
@@ -194,4 +299,21 @@ document.addEventListener('DOMContentLoaded', async () => {
             status.textContent = `Error viewing logs: ${error.message}`;
         }
     });
-});
\ No newline at end of file
+});
+
+// One standby control URL per line
+function readStandbyUrls() {
+    return document.getElementById('standby-urls').value
+        .split('\n')
+        .map(url => url.trim())
+        .filter(Boolean);
+}
+
+function isValidUrl(url) {
+    try {
+        new URL(url);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
\ No newline at end of file
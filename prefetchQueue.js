@@ -0,0 +1,95 @@
+// prefetchQueue.js - Jobs fetched ahead of time, waiting for a free slot in the pool
+
+import Logger from './logger.js';
+
+// Persisted so jobs held by a dead service worker can be handed back
+const STORAGE_KEY = 'prefetchQueue';
+
+export const MAX_PREFETCH_SIZE = 10;
+
+export default class PrefetchQueue {
+    constructor() {
+        this.logger = new Logger('PREFETCH');
+        this.entries = [];  // [{ data, controlUrl, fetchedAt }] in fetch order
+    }
+
+    get length() {
+        return this.entries.length;
+    }
+
+    static normalizeSize(size) {
+        const parsed = parseInt(size);
+        if (isNaN(parsed) || parsed < 0) return 0;
+        return Math.min(parsed, MAX_PREFETCH_SIZE);
+    }
+
+    /**
+     * Take over the entries persisted by a previous worker instance
+     * @returns {Promise<Object[]>} Entries nobody started
+     */
+    async takePersisted() {
+        const stored = await chrome.storage.local.get(STORAGE_KEY);
+        const persisted = stored[STORAGE_KEY] || [];
+        if (persisted.length > 0) {
+            this.logger.warn('Found prefetched jobs from a previous worker instance', { count: persisted.length });
+            await chrome.storage.local.remove(STORAGE_KEY);
+        }
+        return persisted;
+    }
+
+    /**
+     * Queue jobs for later
+     * @param {Object[]} jobs - Job payloads as received from the server
+     * @param {string} controlUrl - Server the jobs came from
+     */
+    async push(jobs, controlUrl) {
+        const fetchedAt = Date.now();
+        jobs.forEach(data => this.entries.push({ data, controlUrl, fetchedAt }));
+        this.logger.debug('Queued prefetched jobs', { added: jobs.length, length: this.entries.length });
+        await this._save();
+    }
+
+    // Synchronous so two callers never start the same job; persisting follows
+    shift() {
+        const entry = this.entries.shift();
+        if (entry) {
+            this.logger.debug('Starting prefetched job', {
+                url: entry.data.url,
+                jobId: entry.data.job_id,
+                waited: Date.now() - entry.fetchedAt
+            });
+            this._save();
+        }
+        return entry || null;
+    }
+
+    // Drop one queued job that can no longer be started, e.g. because its lease was lost
+    remove(data) {
+        const index = this.entries.findIndex(entry => entry.data === data);
+        if (index === -1) return false;
+        this.entries.splice(index, 1);
+        this.logger.debug('Removed prefetched job', { url: data.url, jobId: data.job_id, length: this.entries.length });
+        this._save();
+        return true;
+    }
+
+    // Remove every queued job, e.g. to hand them back to the server
+    async takeAll() {
+        const entries = this.entries;
+        this.entries = [];
+        await this._save();
+        return entries;
+    }
+
+    async _save() {
+        try {
+            if (this.entries.length === 0) {
+                await chrome.storage.local.remove(STORAGE_KEY);
+            } else {
+                await chrome.storage.local.set({ [STORAGE_KEY]: this.entries });
+            }
+        } catch (error) {
+            this.logger.error('Failed to persist prefetch queue', { error: error.message });
+        }
+    }
+}
\ No newline at end of file
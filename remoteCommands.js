@@ -0,0 +1,105 @@
+// remoteCommands.js - Commands sent by the control server and their acknowledgement
+
+import Logger from './logger.js';
+
+// Commands can be repeated by the server until acknowledged, run each once
+const MAX_REMEMBERED_COMMANDS = 200;
+
+export default class RemoteCommandHandler {
+    constructor(controlClient) {
+        this.controlClient = controlClient;
+        this.logger = new Logger('COMMAND');
+        this.handlers = new Map();  // command name -> async (params, controlUrl) => result
+        this.seenCommandIds = [];
+    }
+
+    /**
+     * Register the function executing a command
+     * @param {string} name - Command name, e.g. "pause"
+     * @param {Function} handler - async (params, controlUrl) => result
+     */
+    register(name, handler) {
+        this.handlers.set(name, handler);
+    }
+
+    getCommandNames() {
+        return Array.from(this.handlers.keys());
+    }
+
+    /**
+     * Execute commands and acknowledge each one with its result
+     * @param {Object[]} commands - [{ id, command, params }]
+     * @param {string} controlUrl - Control server to acknowledge to
+     */
+    async handleCommands(commands, controlUrl) {
+        if (!Array.isArray(commands)) return;
+
+        for (const command of commands) {
+            await this.handleCommand(command, controlUrl);
+        }
+    }
+
+    async handleCommand(command, controlUrl) {
+        const name = command?.command || command?.type;
+        const commandId = command?.id || null;
+
+        if (commandId && this.seenCommandIds.includes(commandId)) {
+            this.logger.debug('Skipping already executed command', { commandId, command: name });
+            return;
+        }
+        if (commandId) {
+            this.seenCommandIds.push(commandId);
+            if (this.seenCommandIds.length > MAX_REMEMBERED_COMMANDS) {
+                this.seenCommandIds.shift();
+            }
+        }
+
+        const handler = this.handlers.get(name);
+        if (!handler) {
+            this.logger.warn(`Unknown remote command: ${name}`, { commandId });
+            await this.acknowledge(controlUrl, commandId, name, {
+                status: 'error',
+                error: `Unknown command: ${name}`
+            });
+            return;
+        }
+
+        const startTime = Date.now();
+        this.logger.info(`Executing remote command: ${name}`, { commandId, params: command.params });
+
+        try {
+            const result = await handler(command.params || {}, controlUrl);
+            this.logger.info(`Remote command completed: ${name}`, {
+                commandId,
+                duration: Date.now() - startTime
+            });
+            await this.acknowledge(controlUrl, commandId, name, { status: 'ok', result: result ?? null });
+        } catch (error) {
+            this.logger.error(`Remote command failed: ${name}`, {
+                commandId,
+                error: error.message
+            });
+            await this.acknowledge(controlUrl, commandId, name, { status: 'error', error: error.message });
+        }
+    }
+
+    async acknowledge(controlUrl, commandId, name, outcome) {
+        try {
+            const response = await this.controlClient.fetch(controlUrl + '/command_result', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    command_id: commandId,
+                    command: name,
+                    ...outcome,
+                    timestamp: new Date().toISOString()
+                })
+            });
+            if (!response.ok) {
+                this.logger.warn(`Command acknowledgement failed with status ${response.status}`, { commandId });
+            }
+        } catch (error) {
+            this.logger.warn('Failed to acknowledge command', { commandId, error: error.message });
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,216 @@
+// resultOutbox.js - Durable IndexedDB outbox for results the server did not accept
+
+import Logger from './logger.js';
+
+const DB_NAME = 'scraperOutbox';
+const DB_VERSION = 1;
+const STORE_NAME = 'results';
+
+// Size cap, the oldest results are evicted first when exceeded
+const MAX_ENTRIES = 100;
+const MAX_TOTAL_BYTES = 200 * 1024 * 1024; // 200MB
+
+// Retry backoff: 30s, 1m, 2m, ... capped at 30 minutes
+const BASE_RETRY_DELAY = 30000;
+const MAX_RETRY_DELAY = 1800000;
+const MAX_ATTEMPTS = 50;
+
+export default class ResultOutbox {
+    constructor() {
+        this.logger = new Logger('OUTBOX');
+        this.dbPromise = null;
+        this.flushing = false;
+    }
+
+    _openDb() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(STORE_NAME)) {
+                        const store = db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+                        store.createIndex('createdAt', 'createdAt');
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    this.dbPromise = null;
+                    reject(request.error);
+                };
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // Run fn against the store inside one transaction
+    async _withStore(mode, fn) {
+        const db = await this._openDb();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const store = transaction.objectStore(STORE_NAME);
+            let result;
+            const request = fn(store);
+            if (request) {
+                request.onsuccess = () => {
+                    result = request.result;
+                };
+            }
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Store a result for a later retry
+     * @param {string} controlUrl - Control server the result belongs to
+     * @param {Object} payload - Submission body
+     * @param {string} lastError - Why the submission failed
+     * @returns {Promise<number>} Outbox entry ID
+     */
+    async add(controlUrl, payload, lastError) {
+        const now = Date.now();
+        const entry = {
+            controlUrl,
+            payload,
+            size: JSON.stringify(payload).length,
+            attempts: 1,
+            createdAt: now,
+            nextAttemptAt: now + BASE_RETRY_DELAY,
+            lastError
+        };
+
+        const id = await this._withStore('readwrite', store => store.add(entry));
+        this.logger.info('Result stored in outbox', {
+            id,
+            url: payload.url,
+            jobId: payload.job_id,
+            size: entry.size,
+            lastError
+        });
+
+        await this._evict();
+        return id;
+    }
+
+    async getAll() {
+        const entries = await this._withStore('readonly', store => store.getAll());
+        return (entries || []).sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    async count() {
+        try {
+            return await this._withStore('readonly', store => store.count());
+        } catch (error) {
+            this.logger.warn('Failed to count outbox entries', { error: error.message });
+            return 0;
+        }
+    }
+
+    async remove(id) {
+        await this._withStore('readwrite', store => store.delete(id));
+    }
+
+    async _update(entry) {
+        await this._withStore('readwrite', store => store.put(entry));
+    }
+
+    // Drop the oldest entries until the outbox fits its caps
+    async _evict() {
+        const entries = await this.getAll();
+        let totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+        let count = entries.length;
+
+        for (const entry of entries) {
+            if (count <= MAX_ENTRIES && totalBytes <= MAX_TOTAL_BYTES) break;
+
+            await this.remove(entry.id);
+            count--;
+            totalBytes -= entry.size;
+            this.logger.warn('Evicted result from full outbox', {
+                id: entry.id,
+                url: entry.payload.url,
+                jobId: entry.payload.job_id,
+                age: Date.now() - entry.createdAt,
+                count,
+                totalBytes
+            });
+        }
+    }
+
+    getRetryDelay(attempts) {
+        return Math.min(BASE_RETRY_DELAY * Math.pow(2, attempts - 1), MAX_RETRY_DELAY);
+    }
+
+    /**
+     * Retry every entry that is due
+     * @param {Function} submitFn - async (controlUrl, payload) => void, throws on failure
+     * @param {Function} isRetryable - (error) => boolean, false drops the entry
+     * @returns {Promise<Object>} Counts of submitted, failed and dropped entries
+     */
+    async flush(submitFn, isRetryable = () => true) {
+        const stats = { submitted: 0, failed: 0, dropped: 0 };
+        if (this.flushing) {
+            this.logger.debug('Outbox flush already running');
+            return stats;
+        }
+
+        this.flushing = true;
+        try {
+            const entries = await this.getAll();
+            const now = Date.now();
+
+            for (const entry of entries) {
+                if (entry.nextAttemptAt > now) continue;
+
+                try {
+                    await submitFn(entry.controlUrl, entry.payload);
+                    await this.remove(entry.id);
+                    stats.submitted++;
+                    this.logger.info('Outbox result submitted', {
+                        id: entry.id,
+                        url: entry.payload.url,
+                        jobId: entry.payload.job_id,
+                        attempts: entry.attempts + 1,
+                        age: Date.now() - entry.createdAt
+                    });
+                } catch (error) {
+                    entry.attempts++;
+                    entry.lastError = error.message;
+
+                    if (!isRetryable(error) || entry.attempts >= MAX_ATTEMPTS) {
+                        await this.remove(entry.id);
+                        stats.dropped++;
+                        this.logger.error('Dropped result from outbox', {
+                            id: entry.id,
+                            url: entry.payload.url,
+                            jobId: entry.payload.job_id,
+                            attempts: entry.attempts,
+                            error: error.message
+                        });
+                        continue;
+                    }
+
+                    entry.nextAttemptAt = Date.now() + this.getRetryDelay(entry.attempts);
+                    await this._update(entry);
+                    stats.failed++;
+                    this.logger.warn('Outbox retry failed', {
+                        id: entry.id,
+                        url: entry.payload.url,
+                        attempts: entry.attempts,
+                        nextAttemptIn: entry.nextAttemptAt - Date.now(),
+                        error: error.message
+                    });
+                }
+            }
+        } finally {
+            this.flushing = false;
+        }
+
+        if (stats.submitted || stats.failed || stats.dropped) {
+            this.logger.info('Outbox flush completed', { ...stats, remaining: await this.count() });
+        }
+        return stats;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,261 @@
+// resultUploader.js - Upload of results to the control server
+//
+// Results go to /submit as one JSON body, gzip-compressed when the server
+// supports it. Servers advertising chunked uploads receive large results as a
+// submission: the screenshot and HTML are uploaded as separate resumable parts
+// and the rest of the result completes the submission.
+
+import Logger from './logger.js';
+
+// 'auto' uses chunked uploads where the server offers them, 'single' always sends one body
+export const UPLOAD_MODES = ['auto', 'single'];
+
+const CAPABILITIES_TTL = 600000; // Re-negotiate every 10 minutes
+const DEFAULT_CHUNK_SIZE = 1024 * 1024; // 1MB
+const CHUNK_RETRIES = 3;
+
+// Results smaller than this are always sent as a single body
+const CHUNKED_THRESHOLD = 2 * 1024 * 1024;
+
+// Content fields uploaded as separate parts in chunked mode
+const PART_FIELDS = ['screenshot', 'rawHtml'];
+
+// Shared by every job so negotiation happens once per control server
+const capabilitiesCache = new Map(); // controlUrl -> { fetchedAt, gzip, chunked, chunkSize }
+
+export default class ResultUploader {
+    constructor(controlClient) {
+        this.controlClient = controlClient;
+        this.logger = new Logger('UPLOAD');
+        this.encoder = new TextEncoder();
+    }
+
+    /**
+     * Ask the server which upload features it supports
+     * @param {string} controlUrl - Control server URL
+     * @returns {Promise<Object>} { gzip, chunked, chunkSize }
+     */
+    async getCapabilities(controlUrl) {
+        const cached = capabilitiesCache.get(controlUrl);
+        if (cached && Date.now() - cached.fetchedAt < CAPABILITIES_TTL) {
+            return cached;
+        }
+
+        // Older servers do not know the endpoint and get a plain JSON body
+        let capabilities = { gzip: false, chunked: false, chunkSize: DEFAULT_CHUNK_SIZE };
+        try {
+            const response = await this.controlClient.fetch(controlUrl + '/upload_capabilities');
+            if (response.ok) {
+                const data = await response.json();
+                capabilities = {
+                    gzip: !!data.gzip,
+                    chunked: !!data.chunked,
+                    chunkSize: parseInt(data.chunk_size) || DEFAULT_CHUNK_SIZE
+                };
+            }
+            this.logger.info('Negotiated upload capabilities', {
+                controlUrl,
+                status: response.status,
+                ...capabilities
+            });
+        } catch (error) {
+            this.logger.warn('Upload capability negotiation failed, using single uncompressed body', {
+                controlUrl,
+                error: error.message
+            });
+        }
+
+        capabilities.fetchedAt = Date.now();
+        capabilitiesCache.set(controlUrl, capabilities);
+        return capabilities;
+    }
+
+    /**
+     * Upload a result using the best mode both sides support
+     * @param {string} controlUrl - Control server URL
+     * @param {Object} contentData - Result payload
+     * @param {AbortSignal} signal - Cancellation signal
+     * @returns {Promise<string>} Server response text
+     */
+    async upload(controlUrl, contentData, signal = null) {
+        const capabilities = await this.getCapabilities(controlUrl);
+        const { uploadMode = 'auto' } = await chrome.storage.sync.get('uploadMode');
+        const body = JSON.stringify(contentData);
+
+        if (uploadMode !== 'single' && capabilities.chunked && body.length > CHUNKED_THRESHOLD) {
+            try {
+                return await this.uploadChunked(controlUrl, contentData, capabilities, signal);
+            } catch (error) {
+                // Unsupported after all, the single body is the fallback
+                if (error.status === 404 || error.status === 501) {
+                    this.logger.warn('Chunked upload rejected, falling back to single body', {
+                        controlUrl,
+                        status: error.status
+                    });
+                    capabilitiesCache.set(controlUrl, { ...capabilities, chunked: false });
+                } else {
+                    throw error;
+                }
+            }
+        }
+
+        return this.uploadSingle(controlUrl, body, capabilities, signal);
+    }
+
+    async uploadSingle(controlUrl, body, capabilities, signal = null) {
+        const headers = { 'Content-Type': 'application/json' };
+        let requestBody = body;
+
+        if (capabilities.gzip) {
+            requestBody = await this.gzip(body);
+            headers['Content-Encoding'] = 'gzip';
+            this.logger.debug('Compressed result body', {
+                originalSize: body.length,
+                compressedSize: requestBody.byteLength
+            });
+        }
+
+        const response = await this.controlClient.fetch(controlUrl + '/submit', {
+            method: 'POST',
+            headers,
+            body: requestBody,
+            signal
+        });
+        return this._checkResponse(response);
+    }
+
+    async uploadChunked(controlUrl, contentData, capabilities, signal = null) {
+        // Split off the large fields, the rest completes the submission
+        const parts = {};
+        const content = { ...contentData.content };
+        for (const field of PART_FIELDS) {
+            if (content[field]) {
+                parts[field] = this.encoder.encode(content[field]);
+                delete content[field];
+            }
+        }
+
+        // A result retried from the outbox resumes its earlier submission
+        let progress = contentData.submission_id
+            ? await this._getSubmissionStatus(controlUrl, contentData.submission_id, signal)
+            : null;
+
+        if (!progress) {
+            contentData.submission_id = await this._beginSubmission(controlUrl, contentData, parts, signal);
+            progress = {};
+        }
+        const submissionId = contentData.submission_id;
+
+        for (const [name, bytes] of Object.entries(parts)) {
+            await this._uploadPart(controlUrl, submissionId, name, bytes, progress[name] || 0, capabilities.chunkSize, signal);
+        }
+
+        const body = JSON.stringify({
+            ...contentData,
+            content,
+            parts: Object.keys(parts)
+        });
+        const headers = { 'Content-Type': 'application/json' };
+        let requestBody = body;
+        if (capabilities.gzip) {
+            requestBody = await this.gzip(body);
+            headers['Content-Encoding'] = 'gzip';
+        }
+
+        const response = await this.controlClient.fetch(`${controlUrl}/submit/${submissionId}/complete`, {
+            method: 'POST',
+            headers,
+            body: requestBody,
+            signal
+        });
+        const responseData = await this._checkResponse(response);
+
+        this.logger.info('Chunked upload completed', {
+            submissionId,
+            url: contentData.url,
+            parts: Object.fromEntries(Object.entries(parts).map(([name, bytes]) => [name, bytes.byteLength]))
+        });
+        return responseData;
+    }
+
+    async _beginSubmission(controlUrl, contentData, parts, signal) {
+        const response = await this.controlClient.fetch(controlUrl + '/submit/begin', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                url: contentData.url,
+                job_id: contentData.job_id,
+                parts: Object.entries(parts).map(([name, bytes]) => ({ name, size: bytes.byteLength }))
+            }),
+            signal
+        });
+        const data = JSON.parse(await this._checkResponse(response));
+
+        this.logger.info('Chunked upload started', {
+            submissionId: data.submission_id,
+            url: contentData.url
+        });
+        return data.submission_id;
+    }
+
+    // Bytes received per part, or null if the server forgot the submission
+    async _getSubmissionStatus(controlUrl, submissionId, signal) {
+        const response = await this.controlClient.fetch(`${controlUrl}/submit/${submissionId}/status`, { signal });
+        if (response.status === 404 || response.status === 410) {
+            this.logger.info('Earlier submission expired, starting a new one', { submissionId });
+            return null;
+        }
+        const data = JSON.parse(await this._checkResponse(response));
+        return data.parts || {};
+    }
+
+    async _uploadPart(controlUrl, submissionId, name, bytes, offset, chunkSize, signal) {
+        let failures = 0;
+
+        while (offset < bytes.byteLength) {
+            const end = Math.min(offset + chunkSize, bytes.byteLength);
+            try {
+                const response = await this.controlClient.fetch(`${controlUrl}/submit/${submissionId}/parts/${name}?offset=${offset}`, {
+                    method: 'PUT',
+                    headers: {
+                        'Content-Type': 'application/octet-stream',
+                        'Content-Range': `bytes ${offset}-${end - 1}/${bytes.byteLength}`
+                    },
+                    body: bytes.slice(offset, end),
+                    signal
+                });
+                await this._checkResponse(response);
+                offset = end;
+                failures = 0;
+            } catch (error) {
+                if (signal?.aborted || ++failures >= CHUNK_RETRIES) {
+                    throw error;
+                }
+                this.logger.warn(`Chunk upload failed, resuming part ${name}`, {
+                    submissionId,
+                    offset,
+                    attempt: failures,
+                    error: error.message
+                });
+                // Ask the server where to continue from
+                const progress = await this._getSubmissionStatus(controlUrl, submissionId, signal);
+                offset = progress?.[name] ?? offset;
+            }
+        }
+    }
+
+    async gzip(text) {
+        const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    async _checkResponse(response) {
+        const responseData = await response.text();
+        if (!response.ok) {
+            const error = new Error(`Server responded with ${response.status}: ${responseData}`);
+            error.status = response.status;
+            throw error;
+        }
+        return responseData;
+    }
+}
\ No newline at end of file
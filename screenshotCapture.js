@@ -1,13 +1,34 @@
 // Screenshot capture functionality
+
+// Set when the background cancels the job while we are scrolling
+let screenshotCancelled = false;
+
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.action === "cancelScreenshot") {
+        screenshotCancelled = true;
+        sendResponse({ cancelled: true });
+        return;
+    }
+
     if (request.action === "takeScreenshot") {
-        const { scrollHeight, clientHeight } = document.documentElement;
+        screenshotCancelled = false;
+        const { clientHeight } = document.documentElement;
+        // Jobs can ask for the first viewport only or cap the captured height
+        const pageHeight = request.maxHeight
+            ? Math.min(document.documentElement.scrollHeight, request.maxHeight)
+            : document.documentElement.scrollHeight;
+        const scrollHeight = request.fullPage === false ? clientHeight : pageHeight;
         const devicePixelRatio = window.devicePixelRatio || 1;
         let capturedHeight = 0;
         let capturedImages = [];
         
         const captureAndScroll = async () => {
             const scrollAmount = clientHeight;
+            if (screenshotCancelled) {
+                console.warn('Screenshot capture cancelled after', capturedImages.length, 'images');
+                sendResponse({ images: capturedImages, cancelled: true });
+                return;
+            }
             try {
                 // Check if we've reached the end BEFORE capturing
                 const isLastCapture = capturedHeight + scrollAmount >= scrollHeight;
@@ -221,6 +221,21 @@ export class StateLock {
     await chrome.storage.local.remove(stateKey);
   }
 
+  // Get all states whose resource name starts with prefix (e.g. per-job states)
+  async getStatesByPrefix(prefix) {
+    const keyPrefix = this.getStateKey(prefix);
+    const allKeys = await chrome.storage.local.get();
+
+    const states = {};
+    for (const key of Object.keys(allKeys)) {
+      if (key.startsWith(keyPrefix) && allKeys[key] !== undefined && allKeys[key] !== null) {
+        states[key.substring(this.statePrefix.length)] = allKeys[key];
+      }
+    }
+
+    return states;
+  }
+
   // Atomic state update with locking
   async updateState(resource, updateFn) {
     return this.withLock(resource, async () => {
@@ -0,0 +1,104 @@
+// Structured extraction, fills the named fields of an extraction schema from the page
+
+// Nodes matched by a field, relative to the element it is nested in
+function selectNodes(field, context) {
+    if (field.xpath) {
+        const snapshot = document.evaluate(field.xpath, context, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+        const nodes = [];
+        for (let i = 0; i < snapshot.snapshotLength; i++) {
+            nodes.push(snapshot.snapshotItem(i));
+        }
+        return nodes;
+    }
+    if (field.selector) {
+        return Array.from(context.querySelectorAll(field.selector));
+    }
+    return [context];
+}
+
+function readNode(node, field) {
+    // XPath can select attributes and text nodes directly
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+        return node.nodeValue;
+    }
+    switch (field.target) {
+        case 'html':
+            return node.innerHTML;
+        case 'attribute':
+            return node.getAttribute(field.attribute);
+        default:
+            return node.textContent;
+    }
+}
+
+function applyTransforms(value, transforms) {
+    for (const transform of transforms) {
+        if (value === null || value === undefined) {
+            return null;
+        }
+        if (transform === 'trim') {
+            value = String(value).replace(/\s+/g, ' ').trim();
+        } else if (transform === 'number') {
+            // Keep digits, sign and the decimal point, "1,299.00 €" becomes 1299
+            const parsed = parseFloat(String(value).replace(/[^0-9.\-]/g, ''));
+            value = isNaN(parsed) ? null : parsed;
+        } else if (transform === 'absolute_url') {
+            try {
+                value = new URL(String(value).trim(), document.baseURI).href;
+            } catch (e) {
+                value = null;
+            }
+        } else if (transform.regex) {
+            const match = String(value).match(new RegExp(transform.regex, transform.flags));
+            value = match ? match[transform.group] ?? null : null;
+        }
+    }
+    return value;
+}
+
+function extractFields(fields, context, path, errors) {
+    const result = {};
+    for (const [name, field] of Object.entries(fields)) {
+        const fieldPath = path ? `${path}.${name}` : name;
+        try {
+            const nodes = selectNodes(field, context);
+            const extractOne = (node) => field.fields
+                ? extractFields(field.fields, node, fieldPath, errors)
+                : applyTransforms(readNode(node, field), field.transforms);
+
+            result[name] = field.multiple
+                ? nodes.map(extractOne)
+                : (nodes.length > 0 ? extractOne(nodes[0]) : null);
+        } catch (error) {
+            // A broken selector loses its own field, not the whole object
+            errors.push({ field: fieldPath, error: error.message });
+            result[name] = field.multiple ? [] : null;
+        }
+    }
+    return result;
+}
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.type !== 'extract_structured') {
+        return;
+    }
+
+    const startTime = Date.now();
+    const errors = [];
+    const structured = extractFields(request.schema, document, '', errors);
+    const extractionTime = Date.now() - startTime;
+
+    chrome.runtime.sendMessage({
+        type: 'content_log',
+        level: errors.length > 0 ? 'warn' : 'info',
+        message: 'Structured extraction completed',
+        data: {
+            url: window.location.href,
+            fields: Object.keys(structured).length,
+            emptyFields: Object.keys(structured).filter(name => structured[name] === null),
+            errors,
+            extractionTime
+        }
+    });
+    sendResponse({ structured, errors, extractionTime });
+});
\ No newline at end of file
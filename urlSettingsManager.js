@@ -1,6 +1,12 @@
 // urlSettingsManager.js
 
 import Logger from './logger.js';
+import { AUTH_MODES } from './controlClient.js';
+import { JOB_TRANSPORTS } from './jobStream.js';
+import { UPLOAD_MODES } from './resultUploader.js';
+
+// Config URL parameters holding credentials, never logged in clear
+const SECRET_PARAMS = ['authToken', 'auth_token', 'authSecret', 'auth_secret'];
 
 export default class UrlSettingsManager {
     constructor() {
@@ -17,6 +23,26 @@ export default class UrlSettingsManager {
         this.arrayKeys = [...new Set([...this.arrayKeys, ...keys])];
     }
 
+    /**
+     * Mask credentials in a URL before it is logged
+     * @param {string} url - URL to redact
+     * @returns {string}
+     */
+    redactUrl(url) {
+        if (!url) return url;
+        try {
+            const urlObj = new URL(decodeURIComponent(url));
+            for (const param of SECRET_PARAMS) {
+                if (urlObj.searchParams.has(param)) {
+                    urlObj.searchParams.set(param, '***');
+                }
+            }
+            return urlObj.toString();
+        } catch (error) {
+            return '[unparseable URL]';
+        }
+    }
+
     /**
      * Check if URL is a configuration URL
      * @param {string} url - URL to check
@@ -29,11 +55,11 @@ export default class UrlSettingsManager {
             const urlObj = new URL(decodeURIComponent(url));
             const isConfig = urlObj.hostname === 'ext-config.com';
             if (isConfig) {
-                this.logger.debug('Found config URL', { url: urlObj.toString() });
+                this.logger.debug('Found config URL', { url: this.redactUrl(url) });
             }
             return isConfig;
         } catch (error) {
-            this.logger.warn('Failed to parse URL', { url, error: error.message });
+            this.logger.warn('Failed to parse URL', { url: this.redactUrl(url), error: error.message });
             return false;
         }
     }
@@ -44,7 +70,7 @@ export default class UrlSettingsManager {
      * @param {Object} defaultSettings - Default settings to use
      */
     async updateSettingsFromUrl(url, defaultSettings = {}) {
-        this.logger.info('Updating settings from URL', { url, defaultSettings });
+        this.logger.info('Updating settings from URL', { url: this.redactUrl(url), defaultSettings });
         
         try {
             // First decode the URL to handle any encoded characters
@@ -64,16 +90,50 @@ export default class UrlSettingsManager {
                                   urlObj.searchParams.get('graylog_endpoint') || 
                                   defaultSettings.graylogEndpoint;
 
-            const newSettings = { controlUrl, pollInterval, graylogEndpoint };
+            // Standby control servers, comma separated in priority order
+            const standbyParam = urlObj.searchParams.get('standbyUrls') ?? 
+                               urlObj.searchParams.get('standby_urls');
+            const standbyUrls = standbyParam !== null
+                ? standbyParam.split(',').map(url => url.trim()).filter(Boolean)
+                : (defaultSettings.standbyUrls || []);
+
+            const concurrency = parseInt(urlObj.searchParams.get('concurrency')) || 
+                              defaultSettings.concurrency;
+
+            // 0 is valid and turns prefetching off
+            const prefetchParam = parseInt(urlObj.searchParams.get('prefetchSize') ?? 
+                                         urlObj.searchParams.get('prefetch_size'));
+            const prefetchSize = isNaN(prefetchParam) ? defaultSettings.prefetchSize : prefetchParam;
+
+            let uploadMode = urlObj.searchParams.get('uploadMode') || 
+                             urlObj.searchParams.get('upload_mode') || 
+                             defaultSettings.uploadMode;
+            if (!UPLOAD_MODES.includes(uploadMode)) {
+                this.logger.warn('Ignoring unknown upload mode from config URL', { uploadMode });
+                uploadMode = defaultSettings.uploadMode;
+            }
+
+            let jobTransport = urlObj.searchParams.get('jobTransport') || 
+                               urlObj.searchParams.get('job_transport') || 
+                               defaultSettings.jobTransport;
+            if (!JOB_TRANSPORTS.includes(jobTransport)) {
+                this.logger.warn('Ignoring unknown job transport from config URL', { jobTransport });
+                jobTransport = defaultSettings.jobTransport;
+            }
+
+            const newSettings = { controlUrl, standbyUrls, pollInterval, graylogEndpoint, concurrency, prefetchSize, uploadMode, jobTransport };
 
             this.logger.debug('Parsed settings from URL', { newSettings });
 
+            await this.updateAuthFromUrl(urlObj);
+
             const currentSettings = await this.getStorageSync(defaultSettings);
             this.logger.debug('Current settings', { currentSettings });
 
             if (this.settingsChanged(currentSettings, newSettings)) {
                 this.logger.info(`Set controlUrl to ${newSettings.controlUrl}`);
                 this.logger.info(`Set pollInterval to ${newSettings.pollInterval}`);
+                this.logger.info(`Set concurrency to ${newSettings.concurrency}`);
                 
                 await this.setStorageSync(newSettings);
                 this.logger.info('Updated settings with values loaded from ext-config.com URL');
@@ -93,6 +153,39 @@ export default class UrlSettingsManager {
         }
     }
 
+    /**
+     * Store control server credentials passed in a config URL
+     * @param {URL} urlObj - Parsed config URL
+     */
+    async updateAuthFromUrl(urlObj) {
+        const mode = urlObj.searchParams.get('authMode') || urlObj.searchParams.get('auth_mode');
+        const token = urlObj.searchParams.get('authToken') || urlObj.searchParams.get('auth_token');
+        const keyId = urlObj.searchParams.get('authKeyId') || urlObj.searchParams.get('auth_key_id');
+        const secret = urlObj.searchParams.get('authSecret') || urlObj.searchParams.get('auth_secret');
+
+        if (!mode && !token && !secret) {
+            return; // No credentials in this URL, keep the stored ones
+        }
+
+        const controlAuth = {
+            mode: mode || (secret ? 'hmac' : 'bearer'),
+            token: token || '',
+            keyId: keyId || '',
+            secret: secret || ''
+        };
+
+        if (!AUTH_MODES.includes(controlAuth.mode)) {
+            this.logger.warn('Ignoring unknown auth mode from config URL', { mode: controlAuth.mode });
+            return;
+        }
+
+        await chrome.storage.local.set({ controlAuth });
+        this.logger.info('Updated control server credentials from config URL', {
+            mode: controlAuth.mode,
+            keyId: controlAuth.keyId
+        });
+    }
+
     /**
      * Helper method to get chrome storage sync data
      * @param {Object} defaults - Default settings
@@ -131,7 +224,12 @@ export default class UrlSettingsManager {
      */
     settingsChanged(oldSettings, newSettings) {
         const changed = oldSettings.controlUrl !== newSettings.controlUrl || 
-                       oldSettings.pollInterval !== newSettings.pollInterval;
+                       (oldSettings.standbyUrls || []).join(',') !== (newSettings.standbyUrls || []).join(',') ||
+                       oldSettings.pollInterval !== newSettings.pollInterval ||
+                       oldSettings.concurrency !== newSettings.concurrency ||
+                       oldSettings.prefetchSize !== newSettings.prefetchSize ||
+                       oldSettings.uploadMode !== newSettings.uploadMode ||
+                       oldSettings.jobTransport !== newSettings.jobTransport;
         
         this.logger.debug('Checking if settings changed', {
             oldSettings,
@@ -152,9 +250,9 @@ export default class UrlSettingsManager {
             this.logger.debug('Retrieved tabs', { count: tabs.length });
 
             for (const tab of tabs) {
-                this.logger.debug('Checking tab', { tabId: tab.id, url: tab.url });
+                this.logger.debug('Checking tab', { tabId: tab.id, url: this.redactUrl(tab.url) });
                 if (this.isConfigUrl(tab.url)) {
-                    this.logger.info('Found config URL in tab', { tabId: tab.id, url: tab.url });
+                    this.logger.info('Found config URL in tab', { tabId: tab.id, url: this.redactUrl(tab.url) });
                     await this.updateSettingsFromUrl(tab.url, {});
                 }
             }
@@ -188,10 +286,14 @@ export default class UrlSettingsManager {
         this.logger.info('Initializing tab listeners', { defaultSettings });
         
         chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-            this.logger.debug('Tab updated', { tabId, changeInfo, url: tab.url });
+            this.logger.debug('Tab updated', {
+                tabId,
+                status: changeInfo.status,
+                url: this.redactUrl(tab.url)
+            });
             
             if (changeInfo.status === 'complete' && this.isConfigUrl(tab.url)) {
-                this.logger.info('Config URL loaded in tab', { tabId, url: tab.url });
+                this.logger.info('Config URL loaded in tab', { tabId, url: this.redactUrl(tab.url) });
                 this.updateSettingsFromUrl(tab.url, defaultSettings);
             }
         });